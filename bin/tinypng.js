@@ -3,12 +3,38 @@
 
 const fs = require('fs');
 const path = require('path');
-const { execSync } = require('child_process');
-const { getConfig, writeGlobalConfig, readGlobalConfig, deleteGlobalConfigKey, VALID_CONFIG_KEYS, GLOBAL_CONFIG_PATH } = require('../lib/config');
-const { compressBatch, printSummary } = require('../lib/compress');
-const { color, success, warn, error, info } = require('../lib/utils');
+const { execSync, execFileSync } = require('child_process');
+const {
+  getConfig, getCompressOptions, readConfigLayers, mergeConfigLayers, findConfigDir, writeGlobalConfig,
+  deleteGlobalConfigKey, writeProjectConfig, deleteProjectConfigKey, isGlobalConfigExposed, VALID_CONFIG_KEYS,
+  GLOBAL_CONFIG_PATH,
+} = require('../lib/config');
+const { compressBatch, checkImage, createCompressQueue, summarizeResults } = require('../lib/compress');
+const { createProgressPrinter, printSummary } = require('../lib/log');
+const { createAbortController } = require('../lib/abort');
+const { normalizeResize, normalizeResizeOption, resolveResize, describeResize } = require('../lib/resize');
+const { normalizeFormats, excludeConversionTargets } = require('../lib/convert');
+const {
+  normalizeOutput, resolveOutputPath, isOutputFile, isSuffixBackup, listBackups, fromSuffixBackup, restoreBackup,
+  BACKUP_DIR_NAME,
+} = require('../lib/output');
+const { collectImages, isImageFile, dedupeFiles } = require('../lib/files');
+const { createFileFilter, IGNORE_FILE_NAME } = require('../lib/ignore');
+const { normalizeThresholds, checkSize } = require('../lib/thresholds');
+const { normalizePreserve } = require('../lib/metadata');
+const { watchImages } = require('../lib/watch');
+const { formatReport, writeReport, REPORTERS } = require('../lib/report');
+const { createBudget, checkBudget, getBudgetCount, setBudgetCount } = require('../lib/quota');
+const { getBackend } = require('../lib/backends');
+const { createCircuitBreaker } = require('../lib/retry');
+const { createKeyPool, normalizeApiKeys, readKeyState, getKeyUsage, maskKey, KEY_STATE_PATH } = require('../lib/keys');
+const {
+  readCache, writeCache, clearCache, inspectCache, pruneCache, hashFile, CACHE_FILE_NAME,
+} = require('../lib/cache');
+const { color, formatSize, success, warn, error, info } = require('../lib/utils');
 
 const args = process.argv.slice(2);
+const configFile = takeConfigOption(args);
 const command = args[0];
 
 function showHelp() {
@@ -16,56 +42,212 @@ function showHelp() {
 ${color('my-tinypng', '1;36')} - Image compression tool powered by TinyPNG
 
 ${color('Usage:', '1')}
-  tinypng git [--no-stage] [--no-ignore]   Compress git staged images
-  tinypng compress [path] [--deep] [--dry-run]
+  tinypng git [--check] [--no-stage] [--no-ignore] [--no-cache] [--backend <name>]
+              [--to <formats>] [--background <color>] [--compress-original] [--backup[=mode]]
+              [--reporter <name>] [--report-file <path>] [--max-compressions <n>]
+              [--include <glob>] [--exclude <glob>]
+              [--min-size <size>] [--max-size <size>] [--min-savings <size|%>]
+              [--preserve <metadata>] [--keep-mtime]
+                                           Compress git staged images
+  tinypng git --since <ref> | --range <a...b> [--commit[=message]] [git options]
+                                           Compress images added or modified in a commit range
+  tinypng compress [path] [--deep] [--dry-run] [--check] [--no-cache] [--backend <name>]
+                   [--resize WxH] [--width <px>] [--height <px>] [--method <method>]
+                   [--to <formats>] [--background <color>] [--compress-original]
+                   [--out-dir <dir>] [--suffix <suffix>] [--backup[=mode]]
+                   [--reporter <name>] [--report-file <path>] [--max-compressions <n>]
+                   [--include <glob>] [--exclude <glob>]
+                   [--min-size <size>] [--max-size <size>] [--min-savings <size|%>]
+                   [--preserve <metadata>] [--keep-mtime]
                                            Compress images in current dir or given path
-  tinypng config set <key> <value>         Set a global config property
-  tinypng config get [key]                 Show config info (optionally for a specific key)
-  tinypng config delete <key>              Delete a global config property
+  tinypng watch [path] [--deep] [compress options]
+                                           Compress new and changed images as they appear
+  tinypng restore [path] [--dry-run]       Restore originals from backups
+  tinypng quota                            Show this month's compression count
+  tinypng cache status|prune|clear         Manage the compression cache
+  tinypng config set <key> <value> [--project]
+                                           Set a global (or project) config property
+  tinypng config get [key]                 Show the effective config and where each value comes from
+  tinypng config delete <key> [--project]  Delete a global (or project) config property
   tinypng config list                      List all available config keys
   tinypng --help, -h                       Show help
   tinypng --version, -v                    Show version
 
+${color('Global Options:', '1')}
+  --config <path>  Config file to use instead of the project one (JSON, or a .js module
+                   exporting an object); package.json and the global config still apply
+
 ${color('Commands:', '1')}
   git        Compress images in git staging area (ideal for pre-commit hooks)
   compress   Compress images, top-level only by default, use --deep for recursive
+  watch      Keep running and compress images added or changed under the given paths,
+             stop with Ctrl+C to print a summary (accepts the compress options except --dry-run
+             and --check); Ctrl+C again cancels the images in progress
+  restore    Restore originals backed up by --backup
+  quota      Show how many compressions the API key used this month
+  cache      Manage the compression cache (${CACHE_FILE_NAME})
   config     Manage configuration
 
+  Ctrl+C during git or compress cancels the images in progress, which are left as they were,
+  prints the summary and exits with status 130 without staging anything.
+
 ${color('Git Options:', '1')}
-  --no-stage     Skip auto git-add for this run
+  --check        Fail listing staged images not recorded as compressed, without uploading
+                 or staging anything (checks the staged content, no API key needed)
+  --no-stage     Skip auto git-add for this run (partially staged images are skipped,
+                 they are compressed in the index)
+  --since        Compress images added or modified since the branch forked from <ref>
+                 (same as --range <ref>...HEAD), instead of the staged ones
+  --range        Compress images added or modified in a range, e.g. main...HEAD or v1.0..HEAD;
+                 deleted and renamed-only images are left out, origin/<ref> is used when
+                 <ref> is not a local branch (CI checkouts)
+  --commit       With --since / --range, commit the compressed images; the message
+                 defaults to commitMessage, or is given as --commit="message"
   --no-ignore    Skip .gitignore filtering for this run
+  --no-cache     Compress even images recorded as already compressed
+  --backend      Compression backend for this run: tinify or local
+  --to           Write converted siblings (staged with the originals), e.g. webp,avif
+  --backup       Keep originals before overwriting (see Compress Options)
+  --reporter     Machine-readable report: json, junit or markdown (see Compress Options)
+  --report-file  Write the report to this file
+  --max-compressions
+                 Stop before this run uses more compressions
+  --include      Only compress staged images matching this glob (repeatable)
+  --exclude      Skip staged images matching this glob (repeatable)
+  --formats      Only compress staged images of these formats, e.g. png,jpg
+  --min-size, --max-size, --min-savings
+                 Size and savings thresholds (see Compress Options)
+  --preserve, --keep-mtime
+                 Keep metadata, file times and permissions (see Compress Options)
 
 ${color('Compress Options:', '1')}
   [path]       File or directory path, multiple allowed, defaults to cwd
   --deep, -d   Recursively traverse subdirectories (default: top-level only)
   --dry-run    Preview files to be compressed without actually compressing
+  --check      Exit with status 1 listing images not recorded as compressed in
+               ${CACHE_FILE_NAME}, without uploading or writing anything
+  --no-cache   Compress even images recorded as already compressed
+  --backend    Compression backend for this run: tinify or local
+  --resize     Resize to WIDTHxHEIGHT (or WIDTHx / xHEIGHT to scale by one side)
+  --width      Resize target width in pixels
+  --height     Resize target height in pixels
+  --method     Resize method: scale, fit, cover or thumb
+               (default: scale with one dimension, fit with both)
+  --to         Write converted siblings next to each image: png, jpg, webp, avif
+               (comma-separated, e.g. --to webp,avif writes logo.webp and logo.avif)
+  --background Background for transparent-to-JPEG conversion: white, black or #rrggbb
+  --compress-original
+               Also compress the original in place when converting
+  --out-dir    Write results into this directory, mirroring the input tree
+  --suffix     Write results next to originals with a suffix, e.g. .min → logo.min.png
+  --backup     Keep originals before overwriting them: --backup=dir copies them into
+               ${BACKUP_DIR_NAME}/, --backup=suffix to logo.orig.png (default: dir)
+  --reporter   Report per-file sizes, attempts, errors and totals: json, junit or markdown
+               (printed to stdout, console output then goes to stderr)
+  --report-file
+               Write the report to this file instead (format inferred from .json/.xml/.md)
+  --max-compressions
+               Stop before this run uses more compressions (remaining images fail)
+  --include    Only compress images matching this glob, relative to cwd (repeatable)
+  --exclude    Skip images matching this glob, relative to cwd (repeatable, "!" re-includes);
+               ${IGNORE_FILE_NAME} files (.gitignore syntax, nested ones honored) apply too
+  --formats    Only compress images of these formats: png, jpg, webp, avif (comma-separated)
+  --min-size   Leave images smaller than this alone, e.g. 1KB (bytes, KB or MB)
+  --max-size   Leave images larger than this alone, e.g. 5MB
+  --min-savings
+               Keep the original when compressing saves less, e.g. 512B or 5%
+               (it is always kept when the result is not smaller)
+  --preserve   Keep metadata the API would strip: copyright, creation and/or location
+               (comma-separated; the local backend keeps all EXIF data for any of them)
+  --keep-mtime Give rewritten images back their modification time and permissions
+
+${color('Backends:', '1')}
+  tinify       TinyPNG API (default, requires apiKey)
+  local        Offline, uses pngquant / jpegoptim / cwebp installed in PATH
+
+${color('Cache Subcommands:', '1')}
+  status       Show cached entries and how many still match the files on disk
+  prune        Remove entries for deleted or modified files
+  clear        Delete the cache file
 
 ${color('Config Keys:', '1')}
   apiKey             TinyPNG API Key
+  apiKeys            Several API Keys, used in turn when one runs out (comma-separated)
+  apiKeyCommand      Command printing the API Key(s) instead, e.g. "pass show tinypng"
   maxConcurrency     Max concurrency (default: 5)
   retries            Retry attempts on network failure (default: 3)
+  retryDelay         Delay before the first retry in ms, doubled on each further one (default: 1000)
+  retryMaxDelay      Longest delay between retries in ms, and longest Retry-After honored (default: 30000)
+  timeout            Abort a request receiving nothing for this long, in ms (default: 60000)
+  connectTimeout     Abort a request taking longer to connect, in ms (default: 15000)
+  circuitBreaker     Stop after this many requests in a row fail, 0 never stops (default: 10)
+  endpoint           Base URL of the API, e.g. a self-hosted Tinify-compatible server
+  proxy              HTTP(S) proxy URL (default: HTTPS_PROXY, hosts in NO_PROXY bypass it)
+  ca                 PEM file of certificates to trust in addition to the default ones
   autoStage          Auto git-add after compress in git mode (default: true)
   respectGitignore   Exclude .gitignore matched files (default: true)
+  cache              Skip images recorded in ${CACHE_FILE_NAME} (default: true)
+  backend            Compression backend: tinify or local (default: tinify)
+  resize             Resize spec, or map of glob pattern to { method, width, height }
+  convert            Formats to write next to each image, e.g. webp,avif
+  background         Background for transparent-to-JPEG conversion
+  compressOriginal   Also compress the original when converting (default: false)
+  backup             Always keep originals before overwriting: dir or suffix
+  monthlyLimit       Monthly compression budget of the API key (free plan: 500)
+  include            Only compress images matching these glob patterns
+  exclude            Never compress images matching these glob patterns
+  formats            Only compress images of these formats, e.g. png,jpg (default: all)
+  minSize            Leave images smaller than this alone, e.g. 1KB
+  maxSize            Leave images larger than this alone, e.g. 5MB
+  minSavings         Keep the original when compressing saves less, e.g. 512B or 5%
+  preserve           Metadata to keep in compressed images: copyright, creation, location
+  keepMtime          Keep modification time and permissions of rewritten images (default: false)
+  commitMessage      Message of the commit made by git --commit
 
 ${color('Config Priority:', '1')}
-  1. Environment variable TINYPNG_API_KEY
-  2. Project .tinypngrc file
+  Sources are merged key by key, the first one setting a key wins:
+  1. Environment variable TINYPNG_API_KEY (comma-separated for several keys),
+     or TINYPNG_API_KEY_FILE naming a file that holds them
+  2. Project config: tinypng.config.js, .tinypngrc or .tinypngrc.json (or --config <path>)
   3. "tinypng" field in project package.json
   4. Global config ~/.tinypngrc
+  Unknown keys and values of the wrong type are reported as errors.
+  compress and git use, for each image, the project config of the nearest
+  directory above it (up to the git root), e.g. of its package in a monorepo.
 
 ${color('Examples:', '1')}
   tinypng config set apiKey RtncqVftzcYrN40xxx    Set API Key
+  tinypng config set apiKeys KEY1,KEY2            Pool several API Keys
+  tinypng config set apiKeyCommand "pass show tinypng"
+                                                  Read the API Key from a password manager
   tinypng config set maxConcurrency 10            Set max concurrency
+  tinypng config set include "src/**" --project   Set a key in the project .tinypngrc
   tinypng config set autoStage false              Disable auto git-add
   tinypng config set respectGitignore false       Disable .gitignore filter
   tinypng config get                              Show all config
   tinypng git                                     Compress staged images
   tinypng git --no-stage --no-ignore              Override config for this run
+  tinypng git --since origin/main --commit        Compress a PR branch in CI and commit
   tinypng compress                                Compress cwd images (top-level)
   tinypng compress --deep                         Compress cwd images (recursive)
   tinypng compress src/assets/ -d                 Compress a directory recursively
   tinypng compress --dry-run                      Preview without compressing
   tinypng compress logo.png banner.jpg            Compress specific files
+  tinypng compress -d --check                     Fail in CI if an image is not compressed
+  tinypng compress -d --exclude "**/raw/**" --dry-run
+                                                  Show which rule leaves each image out
+  tinypng compress -d --backend local             Compress offline with local tools
+  tinypng compress hero/ --width 2560             Scale images down to 2560px wide
+  tinypng compress -d --to webp,avif              Write WebP and AVIF siblings
+  tinypng compress design/ -d --out-dir dist      Write results to dist/, keep originals
+  tinypng compress -d --backup                    Back up originals, then compress
+  tinypng watch src/assets -d                     Compress assets as they are exported
+  tinypng git --reporter junit --report-file tinypng.xml
+                                                  Write a JUnit report for CI
+  tinypng compress -d --reporter markdown > comment.md
+                                                  Savings table for a PR comment
+  tinypng restore                                 Roll back to the backed up originals
+  tinypng cache prune                             Drop entries of changed files
 `);
 }
 
@@ -74,9 +256,28 @@ function showVersion() {
   console.log(pkg.version);
 }
 
-function loadConfig() {
+/**
+ * Take `--config <path>` / `--config=<path>` out of the args, it applies to every command
+ */
+function takeConfigOption(argList) {
+  const index = argList.findIndex(a => a === '--config' || a.startsWith('--config='));
+  if (index === -1) return undefined;
+  const arg = argList[index];
+  const value = arg === '--config' ? argList[index + 1] : arg.slice('--config='.length);
+  if (!value) {
+    error('Option --config expects a value');
+    process.exit(1);
+  }
+  argList.splice(index, arg === '--config' ? 2 : 1);
+  return value;
+}
+
+/**
+ * getConfig() for the working directory, or `projectDir`; exits on invalid config
+ */
+function loadConfig(overrides, options, projectDir) {
   try {
-    return getConfig();
+    return getConfig(projectDir, overrides, { ...options, configFile });
   } catch (e) {
     error(e.message);
     process.exit(1);
@@ -85,18 +286,89 @@ function loadConfig() {
 
 // ── config ──────────────────────────────────────────────────────────────
 
-function printConfigSource(label, configObj, filterKey) {
-  if (!configObj) return;
-  const keys = filterKey ? [filterKey] : Object.keys(configObj);
-  const entries = keys.filter(k => configObj[k] !== undefined);
-  if (entries.length === 0) return;
+/**
+ * Config value for display, API keys masked
+ */
+function formatConfigValue(key, value) {
+  if (key === 'apiKey' || key === 'apiKeys') {
+    return normalizeApiKeys(value).map(maskKey).join(', ');
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Effective config values, each with the source it comes from
+ */
+function printEffectiveConfig(filterKey) {
+  let layers;
+  try {
+    layers = readConfigLayers(undefined, { configFile });
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+  const { values, sources } = mergeConfigLayers(layers);
 
-  console.log(color(label, '1'));
-  for (const k of entries) {
-    console.log(`  ${k}: ${configObj[k]}`);
+  console.log(color('Sources (highest priority first):', '1'));
+  if (layers.length === 0) console.log(color('  none, using defaults', '90'));
+  for (const layer of layers) {
+    console.log(`  ${layer.source}`);
+  }
+  console.log('');
+
+  const keys = Object.keys(VALID_CONFIG_KEYS).filter(k => !filterKey || k === filterKey ||
+    (API_KEY_NAMES.includes(filterKey) && API_KEY_NAMES.includes(k)));
+  const set = keys.filter(k => values[k] !== undefined);
+  console.log(color('Effective config:', '1'));
+  if (set.length === 0) {
+    console.log(color(`  ${filterKey || 'Nothing'} set, using the default`, '90'));
+  }
+  for (const k of set) {
+    console.log(`  ${k}: ${formatConfigValue(k, values[k])} ` + color(`← ${sources[k]}`, '90'));
+  }
+  if (!filterKey && set.length > 0) {
+    console.log(color('  Other keys use their defaults, see "tinypng config list"', '90'));
+  }
+  if (isGlobalConfigExposed()) {
+    console.log('');
+    warn(`⚠ ${GLOBAL_CONFIG_PATH} holds an API key and is readable by other users, run: chmod 600 ${GLOBAL_CONFIG_PATH}`);
   }
 }
 
+/**
+ * Usage of each configured API key this month, as last reported by the API. Only
+ * several keys are tracked (see createKeyPool), a single one is left to "tinypng quota".
+ */
+function printKeyUsage() {
+  let config;
+  try {
+    config = getConfig(undefined, { backend: 'tinify' }, { configFile, requireApiKey: false });
+  } catch {
+    return;
+  }
+  // Listing the keys would run the command, which may prompt
+  if (config.apiKeyCommand) {
+    console.log('');
+    console.log(color('API keys come from apiKeyCommand, run "tinypng quota" for their usage this month', '90'));
+    return;
+  }
+  if (config.apiKeys.length < 2) return;
+  const state = readKeyState();
+  console.log('');
+  console.log(color(`API key usage this month (${KEY_STATE_PATH}):`, '1'));
+  for (const key of config.apiKeys) {
+    const usage = getKeyUsage(key, state);
+    let status = usage.count !== null ? `${usage.count} compression(s)` : color('unknown', '90');
+    if (config.monthlyLimit && usage.count !== null) status += ` of ${config.monthlyLimit}`;
+    if (usage.exhausted === 'limit') status += color(' (exhausted)', '1;31');
+    if (usage.exhausted === 'invalid') status += color(' (rejected as invalid)', '1;31');
+    console.log(`  ${maskKey(key)}: ${status}`);
+  }
+  console.log(color('  Run "tinypng quota" to refresh', '90'));
+}
+
+const API_KEY_NAMES = ['apiKey', 'apiKeys', 'apiKeyCommand'];
+
 function validateConfigKey(key) {
   if (!VALID_CONFIG_KEYS[key]) {
     error(`Unknown config key: ${key}`);
@@ -125,78 +397,94 @@ function parseConfigValue(key, raw) {
     error(`Config key "${key}" expects true or false, got: ${raw}`);
     process.exit(1);
   }
+  if (def.type === 'object') {
+    try {
+      const obj = JSON.parse(raw);
+      if (obj && typeof obj === 'object' && !Array.isArray(obj)) return obj;
+    } catch {}
+    error(`Config key "${key}" expects a JSON object, got: ${raw}`);
+    process.exit(1);
+  }
+  if (def.type === 'array') {
+    return raw.split(',').map(v => v.trim()).filter(Boolean);
+  }
   return raw;
 }
 
 function handleConfig() {
   const subCmd = args[1];
+  const project = args.includes('--project');
+  const subArgs = args.slice(2).filter(a => a !== '--project');
 
   if (subCmd === 'set') {
-    const key = args[2];
-    const value = args[3];
+    const key = subArgs[0];
+    const value = subArgs[1];
     if (!key || value === undefined) {
-      error('Usage: tinypng config set <key> <value>');
+      error('Usage: tinypng config set <key> <value> [--project]');
       error('Example: tinypng config set apiKey YOUR_API_KEY');
       process.exit(1);
     }
     validateConfigKey(key);
     const parsed = parseConfigValue(key, value);
-    writeGlobalConfig({ [key]: parsed });
-    success(`✔ ${key} saved to ${GLOBAL_CONFIG_PATH}`);
+    if (!project) {
+      writeGlobalConfig({ [key]: parsed });
+      success(`✔ ${key} saved to ${GLOBAL_CONFIG_PATH}`);
+      return;
+    }
+    let file;
+    try {
+      file = writeProjectConfig({ [key]: parsed });
+    } catch (e) {
+      error(e.message);
+      process.exit(1);
+    }
+    success(`✔ ${key} saved to ${file}`);
+    if (API_KEY_NAMES.includes(key)) {
+      warn('⚠ API keys in a project config end up in version control, consider the global config or TINYPNG_API_KEY');
+    }
     return;
   }
 
   if (subCmd === 'get') {
-    const filterKey = args[2];
+    const filterKey = subArgs[0];
     if (filterKey) validateConfigKey(filterKey);
 
     info('=== Configuration ===\n');
+    printEffectiveConfig(filterKey);
 
-    const envKey = process.env.TINYPNG_API_KEY;
-    if (envKey && (!filterKey || filterKey === 'apiKey')) {
-      console.log(color('Environment:', '1'));
-      console.log(`  TINYPNG_API_KEY: ${envKey}`);
-      console.log('');
-    }
-
-    const globalCfg = readGlobalConfig();
-    printConfigSource(`Global (${GLOBAL_CONFIG_PATH}):`, globalCfg, filterKey);
-    if (!globalCfg) warn('Global config: not set');
-
-    const projectRcPath = path.join(process.cwd(), '.tinypngrc');
-    if (fs.existsSync(projectRcPath)) {
-      try {
-        const projectCfg = JSON.parse(fs.readFileSync(projectRcPath, 'utf8'));
-        console.log('');
-        printConfigSource(`Project (${projectRcPath}):`, projectCfg, filterKey);
-      } catch {}
-    }
-
-    const pkgPath = path.join(process.cwd(), 'package.json');
-    if (fs.existsSync(pkgPath)) {
-      try {
-        const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'));
-        if (pkg.tinypng) {
-          console.log('');
-          printConfigSource('Package.json:', pkg.tinypng, filterKey);
-        }
-      } catch {}
+    if (!filterKey || API_KEY_NAMES.includes(filterKey)) {
+      printKeyUsage();
     }
     return;
   }
 
   if (subCmd === 'delete') {
-    const key = args[2];
+    const key = subArgs[0];
     if (!key) {
-      error('Usage: tinypng config delete <key>');
+      error('Usage: tinypng config delete <key> [--project]');
       error('Example: tinypng config delete apiKey');
       process.exit(1);
     }
     validateConfigKey(key);
-    if (deleteGlobalConfigKey(key)) {
-      success(`✔ Deleted global config key: ${key}`);
+    if (!project) {
+      if (deleteGlobalConfigKey(key)) {
+        success(`✔ Deleted global config key: ${key}`);
+      } else {
+        warn(`Key "${key}" not found in global config, nothing to delete`);
+      }
+      return;
+    }
+    let file;
+    try {
+      file = deleteProjectConfigKey(key);
+    } catch (e) {
+      error(e.message);
+      process.exit(1);
+    }
+    if (file) {
+      success(`✔ Deleted ${key} from ${file}`);
     } else {
-      warn(`Key "${key}" not found in global config, nothing to delete`);
+      warn(`Key "${key}" not found in project config, nothing to delete`);
     }
     return;
   }
@@ -218,60 +506,278 @@ function handleConfig() {
   process.exit(1);
 }
 
+// ── cache ───────────────────────────────────────────────────────────────
+
+function handleCache() {
+  const subCmd = args[1];
+
+  if (subCmd === 'status') {
+    const cache = readCache();
+    const { valid, stale, savedSize } = inspectCache(cache);
+    info('=== Compression Cache ===\n');
+    console.log(`File:     ${cache.file}` + (fs.existsSync(cache.file) ? '' : color(' (not created yet)', '90')));
+    console.log(`Entries:  ${valid.length + stale.length}`);
+    console.log(`Valid:    ${valid.length}` + (valid.length > 0 ? `, saved ${formatSize(savedSize)}` : ''));
+    console.log(`Stale:    ${stale.length}` + (stale.length > 0 ? color(' (run "tinypng cache prune" to remove)', '90') : ''));
+    return;
+  }
+
+  if (subCmd === 'prune') {
+    const cache = readCache();
+    const removed = pruneCache(cache);
+    writeCache(cache);
+    if (removed.length === 0) {
+      info('No stale cache entries.');
+      return;
+    }
+    for (const key of removed) {
+      console.log(`  - ${key}`);
+    }
+    success(`✔ Pruned ${removed.length} stale cache entr${removed.length === 1 ? 'y' : 'ies'}`);
+    return;
+  }
+
+  if (subCmd === 'clear') {
+    if (clearCache()) {
+      success(`✔ Deleted ${CACHE_FILE_NAME}`);
+    } else {
+      warn(`${CACHE_FILE_NAME} not found, nothing to clear`);
+    }
+    return;
+  }
+
+  if (!subCmd) {
+    error('Missing subcommand');
+  } else {
+    error(`Unknown cache subcommand: ${subCmd}`);
+  }
+  console.log('Available subcommands: status, prune, clear');
+  process.exit(1);
+}
+
 // ── file collection ─────────────────────────────────────────────────────
 
 function getGitStagedImages() {
+  let output;
   try {
-    const unstaged = execSync('git diff --name-only', { encoding: 'utf8' });
-    if (unstaged.trim() !== '') {
-      error('Working tree has unstaged changes. Please stage all changes first.');
-      error('Try running: git add -A');
-      process.exit(1);
-    }
+    output = execSync('git diff --cached --name-only', { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
   } catch (e) {
     error('Not a git repository or git is not available.');
     process.exit(1);
   }
-
-  const output = execSync('git diff --cached --name-only', { encoding: 'utf8' });
   return output
     .split(/\r?\n/)
     .map(f => f.trim())
-    .filter(f => f && /\.(png|jpg|jpeg|webp)$/i.test(f) && fs.existsSync(f));
+    .filter(f => f && isImageFile(f) && fs.existsSync(f));
+}
+
+function isGitIgnored(file) {
+  try {
+    execFileSync('git', ['check-ignore', '--quiet', file], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
 }
 
-function collectImages(targetPath, deep) {
-  const images = [];
-  const stat = fs.statSync(targetPath);
+const DEFAULT_COMMIT_MESSAGE = 'chore: compress images';
+
+function isGitRef(ref) {
+  try {
+    execFileSync('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  if (stat.isFile()) {
-    if (/\.(png|jpg|jpeg|webp)$/i.test(targetPath)) {
-      images.push(path.resolve(targetPath));
+/**
+ * Resolve a revision of a range. CI checkouts are often detached with only
+ * remote-tracking branches, so `main` falls back to `origin/main`.
+ */
+function resolveGitRef(ref) {
+  if (isGitRef(ref)) return ref;
+  if (isGitRef(`origin/${ref}`)) return `origin/${ref}`;
+  error(`Unknown git revision: ${ref}`);
+  error('In shallow CI checkouts, fetch it first, e.g. git fetch origin ' + ref +
+    ' (or check out with full history: fetch-depth: 0)');
+  process.exit(1);
+}
+
+/**
+ * Images added or modified in a commit range (`a..b`, or `a...b` for the
+ * changes since b forked from a). Deleted images and pure renames are left out,
+ * renamed images with modified content are kept under their new name.
+ */
+function getGitRangeImages(range) {
+  const match = /^(.*?)(\.\.\.?)(.*)$/.exec(range);
+  if (!match) {
+    error(`Invalid range: ${range} (expected <from>..<to> or <from>...<to>)`);
+    process.exit(1);
+  }
+  const from = resolveGitRef(match[1] || 'HEAD');
+  const to = resolveGitRef(match[3] || 'HEAD');
+
+  let output;
+  try {
+    output = execFileSync(
+      'git', ['diff', '--name-status', '-z', '-M', '--diff-filter=AMR', `${from}${match[2]}${to}`],
+      { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 }
+    );
+  } catch (e) {
+    error(`Cannot list the images changed in ${range}: ${String(e.stderr || e.message).trim()}`);
+    if (match[2] === '...') {
+      error('A shallow checkout may lack the merge base, fetch more history (fetch-depth: 0)');
     }
-    return images;
+    process.exit(1);
   }
 
-  if (stat.isDirectory()) {
-    const entries = fs.readdirSync(targetPath);
-    for (const entry of entries) {
-      if (entry.startsWith('.') || entry === 'node_modules') continue;
-      const fullPath = path.join(targetPath, entry);
-      try {
-        const entryStat = fs.statSync(fullPath);
-        if (entryStat.isFile() && /\.(png|jpg|jpeg|webp)$/i.test(entry)) {
-          images.push(path.resolve(fullPath));
-        } else if (entryStat.isDirectory() && deep) {
-          images.push(...collectImages(fullPath, true));
-        }
-      } catch {}
+  // -z output: status, then one path (two for renames), NUL separated
+  const fields = output.split('\0');
+  const files = [];
+  for (let i = 0; i < fields.length - 1;) {
+    const status = fields[i++];
+    if (status.startsWith('R')) {
+      const renamed = fields[i + 1];
+      i += 2;
+      if (status !== 'R100') files.push(renamed);
+    } else {
+      files.push(fields[i++]);
     }
   }
+  return files.filter(f => isImageFile(f) && fs.existsSync(f));
+}
+
+/**
+ * Commit compressed images (and the cache manifest unless gitignored) for git --commit,
+ * leaving anything else staged out of the commit
+ */
+function commitFiles(files, message) {
+  const paths = files.slice();
+  if (fs.existsSync(CACHE_FILE_NAME) && !isGitIgnored(CACHE_FILE_NAME)) {
+    paths.push(CACHE_FILE_NAME);
+  }
+  try {
+    execFileSync('git', ['add', '--', ...paths], { stdio: 'ignore' });
+    execFileSync('git', ['commit', '--quiet', '-m', message, '--', ...paths], { stdio: ['ignore', 'ignore', 'pipe'] });
+  } catch (e) {
+    error(`git commit failed: ${String(e.stderr || e.message).trim()}`);
+    process.exit(1);
+  }
+  const sha = execFileSync('git', ['rev-parse', '--short', 'HEAD'], { encoding: 'utf8' }).trim();
+  success(`✔ Committed ${files.length} compressed image(s) as ${sha}: ${message}`);
+  try {
+    execFileSync('git', ['symbolic-ref', '--quiet', 'HEAD'], { stdio: 'ignore' });
+  } catch {
+    info('HEAD is detached, push the commit with: git push origin HEAD:<branch>');
+  }
+}
+
+/**
+ * Staged images whose working copy differs from the index: partially staged,
+ * or changed again after staging
+ */
+function getPartiallyStaged(files) {
+  const output = execSync('git diff --name-only -z', { encoding: 'utf8' });
+  const unstaged = new Set(output.split('\0').filter(Boolean));
+  return files.filter(f => unstaged.has(f));
+}
+
+function readStagedContent(file) {
+  return execFileSync('git', ['show', `:${file}`], { maxBuffer: 256 * 1024 * 1024 });
+}
+
+/**
+ * Replace the staged version of a file, leaving its working copy alone
+ */
+function writeStagedContent(file, data) {
+  const mode = execFileSync('git', ['ls-files', '--stage', '--', file], { encoding: 'utf8' }).split(' ')[0];
+  const sha = execFileSync('git', ['hash-object', '-w', '--stdin'], { input: data, encoding: 'utf8' }).trim();
+  execFileSync('git', ['update-index', '--cacheinfo', `${mode},${sha},${file}`]);
+}
+
+/**
+ * compressImage() source for partially staged images: the staged blob is
+ * compressed and written back to the index, the working copy keeps its changes
+ */
+function createIndexSource(partial) {
+  const set = new Set(partial);
+  return (file) => {
+    if (!set.has(file)) return null;
+    return { content: readStagedContent(file), write: data => writeStagedContent(file, data) };
+  };
+}
+
+/**
+ * Drop images that are conversion outputs of other collected images
+ */
+function filterConversionTargets(files, convert) {
+  let formats;
+  try {
+    formats = normalizeFormats(convert);
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+  const { sources, generated } = excludeConversionTargets(files, formats);
+  for (const f of generated) {
+    console.log(color(`Skipping conversion output: ${f}`, '90'));
+  }
+  return sources;
+}
 
-  return images;
+/**
+ * Image formats to compress from `formats` / --formats, null for all; exits on an unknown format
+ */
+function getImageFormats(formats) {
+  try {
+    return normalizeFormats(formats, 'image format');
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
 }
 
-function dedupe(files) {
-  return [...new Set(files)];
+/**
+ * Drop images of formats left out by `formats` / --formats
+ */
+function filterFormats(files, formats) {
+  const list = getImageFormats(formats);
+  return list ? files.filter(f => isImageFile(f, list)) : files;
+}
+
+/**
+ * Drop outputs and backups written by previous runs
+ */
+function filterOutputFiles(files, output) {
+  return files.filter((f) => {
+    if (!isOutputFile(f, output)) return true;
+    console.log(color(`Skipping output file: ${f}`, '90'));
+    return false;
+  });
+}
+
+/**
+ * Deepest directory containing all given directories
+ */
+function commonRoot(dirs) {
+  return dirs.reduce((root, dir) => {
+    while (root !== dir && !dir.startsWith(root.endsWith(path.sep) ? root : root + path.sep)) {
+      root = path.dirname(root);
+    }
+    return root;
+  });
+}
+
+/**
+ * Drop files left out by include / exclude / .tinypngignore rules
+ */
+function filterExcluded(files, filter) {
+  return files.filter((f) => {
+    const rule = filter.check(f);
+    if (rule) warn(`Skipping excluded file: ${f} (${rule})`);
+    return !rule;
+  });
 }
 
 /**
@@ -296,107 +802,964 @@ function filterGitIgnored(files) {
 
 // ── arg parsing ─────────────────────────────────────────────────────────
 
-const FLAG_OPTIONS = ['--deep', '-d', '--dry-run'];
+const VALUE_OPTIONS = [
+  '--backend', '--resize', '--width', '--height', '--method', '--to', '--background', '--out-dir', '--suffix',
+  '--reporter', '--report-file', '--max-compressions', '--include', '--exclude',
+  '--min-size', '--max-size', '--min-savings', '--since', '--range', '--preserve', '--formats',
+];
+
+// Value options that can be given several times, collected into an array
+const REPEATABLE_OPTIONS = ['--include', '--exclude'];
+
+// Options usable as a bare flag, or with a value given as `--name=value`
+const OPTIONAL_VALUE_OPTIONS = ['--backup', '--commit'];
+
+/**
+ * Split sub-command args into `--name value` / `--name=value` options and the rest
+ */
+function parseValueOptions(subArgs) {
+  const values = {};
+  const rest = [];
+  for (let i = 0; i < subArgs.length; i++) {
+    const arg = subArgs[i];
+    const eq = arg.indexOf('=');
+    const name = eq > 0 ? arg.slice(0, eq) : arg;
+    if (OPTIONAL_VALUE_OPTIONS.includes(name)) {
+      values[name] = eq > 0 ? arg.slice(eq + 1) : true;
+      continue;
+    }
+    if (!VALUE_OPTIONS.includes(name)) {
+      rest.push(arg);
+      continue;
+    }
+    const value = eq > 0 ? arg.slice(eq + 1) : subArgs[++i];
+    if (value === undefined || value === '') {
+      error(`Option ${name} expects a value`);
+      process.exit(1);
+    }
+    values[name] = REPEATABLE_OPTIONS.includes(name) ? (values[name] || []).concat(value) : value;
+  }
+  return { values, rest };
+}
+
+const FLAG_OPTIONS = ['--deep', '-d', '--dry-run', '--no-cache', '--compress-original', '--check', '--keep-mtime'];
 
 function parseCompressArgs() {
-  const subArgs = args.slice(1);
-  const deep = subArgs.includes('--deep') || subArgs.includes('-d');
-  const dryRun = subArgs.includes('--dry-run');
-  const paths = subArgs.filter(a => !FLAG_OPTIONS.includes(a));
-  return { paths, deep, dryRun };
+  const { values, rest } = parseValueOptions(args.slice(1));
+  const deep = rest.includes('--deep') || rest.includes('-d');
+  const dryRun = rest.includes('--dry-run');
+  const noCache = rest.includes('--no-cache');
+  const check = rest.includes('--check');
+  const paths = rest.filter(a => !FLAG_OPTIONS.includes(a));
+  return {
+    paths,
+    deep,
+    dryRun,
+    noCache,
+    check,
+    backend: values['--backend'],
+    resize: parseResizeArgs(values),
+    outDir: values['--out-dir'],
+    suffix: values['--suffix'],
+    backup: values['--backup'],
+    maxCompressions: parseMaxCompressions(values),
+    include: values['--include'],
+    exclude: values['--exclude'],
+    formats: values['--formats'],
+    ...parseThresholdArgs(values),
+    ...parseConvertArgs(values, rest),
+    ...parseMetadataArgs(values, rest),
+    ...parseReportArgs(values),
+  };
+}
+
+function parseMaxCompressions(values) {
+  const raw = values['--max-compressions'];
+  if (raw === undefined) return undefined;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1) {
+    error(`Invalid --max-compressions value: ${raw} (expected a positive integer)`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * --min-size / --max-size / --min-savings, exits on invalid input
+ */
+function parseThresholdArgs(values) {
+  const thresholds = {
+    minSize: values['--min-size'],
+    maxSize: values['--max-size'],
+    minSavings: values['--min-savings'],
+  };
+  try {
+    normalizeThresholds(thresholds);
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+  return thresholds;
+}
+
+/**
+ * Backup mode for this run: `--backup=<mode>`, or the configured mode
+ * (falling back to "dir") for a bare `--backup`
+ */
+function resolveBackupMode(flag, configured) {
+  if (flag === true) return configured || 'dir';
+  return flag || configured || null;
+}
+
+/**
+ * --preserve / --keep-mtime, exits on invalid input
+ */
+function parseMetadataArgs(values, rest) {
+  try {
+    normalizePreserve(values['--preserve']);
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+  return {
+    preserve: values['--preserve'],
+    keepMtime: rest.includes('--keep-mtime') || undefined,
+  };
+}
+
+/**
+ * Config overrides from --to / --background / --compress-original
+ */
+function parseConvertArgs(values, rest) {
+  return {
+    convert: values['--to'],
+    background: values['--background'],
+    compressOriginal: rest.includes('--compress-original') || undefined,
+  };
+}
+
+// Reporter used for a --report-file given without --reporter
+const REPORT_EXTENSIONS = { '.json': 'json', '.xml': 'junit', '.md': 'markdown' };
+
+/**
+ * --reporter / --report-file
+ */
+function parseReportArgs(values) {
+  const reportFile = values['--report-file'];
+  let reporter = values['--reporter'];
+  if (!reporter && reportFile) {
+    reporter = REPORT_EXTENSIONS[path.extname(reportFile).toLowerCase()];
+    if (!reporter) {
+      error(`Cannot tell the report format from ${reportFile}, use --reporter ${REPORTERS.join('|')}`);
+      process.exit(1);
+    }
+  }
+  if (reporter && !REPORTERS.includes(reporter)) {
+    error(`Unknown reporter: ${reporter} (available: ${REPORTERS.join(', ')})`);
+    process.exit(1);
+  }
+  return { reporter, reportFile };
+}
+
+/**
+ * Build a resize spec from --resize WxH / --width / --height / --method
+ */
+function parseResizeArgs(values) {
+  let width = values['--width'];
+  let height = values['--height'];
+
+  if (values['--resize']) {
+    const match = /^(\d*)x(\d*)$/i.exec(values['--resize']);
+    if (!match || (!match[1] && !match[2])) {
+      error(`Invalid --resize value: ${values['--resize']} (expected WIDTHxHEIGHT, WIDTHx or xHEIGHT)`);
+      process.exit(1);
+    }
+    width = width || match[1] || undefined;
+    height = height || match[2] || undefined;
+  }
+
+  if (width === undefined && height === undefined) {
+    if (values['--method']) {
+      error('--method requires --width, --height or --resize');
+      process.exit(1);
+    }
+    return undefined;
+  }
+
+  try {
+    return normalizeResize({ method: values['--method'], width, height });
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+}
+
+// ── reports ─────────────────────────────────────────────────────────────
+
+/**
+ * A report without --report-file is printed to stdout, so move the usual
+ * console output to stderr to keep stdout parseable
+ */
+function prepareReport(reportArgs) {
+  if (reportArgs.reporter && !reportArgs.reportFile) {
+    console.log = console.error;
+  }
+}
+
+function emitReport(reportArgs, summary, command) {
+  if (!reportArgs.reporter) return;
+  if (!reportArgs.reportFile) {
+    process.stdout.write(formatReport(reportArgs.reporter, summary, { command }));
+    return;
+  }
+  try {
+    writeReport(reportArgs.reporter, summary, reportArgs.reportFile, { command });
+    info(`Report written to ${reportArgs.reportFile}`);
+  } catch (e) {
+    error(`Failed to write report: ${e.message}`);
+    process.exitCode = 1;
+  }
 }
 
 // ── handlers ────────────────────────────────────────────────────────────
 
+/**
+ * include / exclude rules of the config and of this run, plus .tinypngignore files
+ * @param {string} [configRoot] - directory the config patterns are relative to (default: cwd)
+ */
+function createFilter(config, runArgs, configRoot) {
+  try {
+    return createFileFilter({
+      configRoot,
+      include: config.include,
+      exclude: config.exclude,
+      cliInclude: runArgs.include,
+      cliExclude: runArgs.exclude,
+    });
+  } catch (e) {
+    error(`Invalid include/exclude pattern: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Collect images from the given paths (cwd when none are given)
+ * @param {Object} [filter] - from createFilter()
+ * @returns {{ files: string[], roots: string[], inputRoots: string[], excluded: { file: string, rule: string }[] }}
+ *   `roots` are the existing paths, `inputRoots` the directories they are in (for mirroring into --out-dir),
+ *   `excluded` the images and directories left out by the filter
+ */
+function collectInputs(paths, deep, filter) {
+  const files = [];
+  const roots = [];
+  const inputRoots = [];
+  const excluded = [];
+  const onExclude = (file, rule) => excluded.push({ file, rule });
+  for (const p of paths.length > 0 ? paths : [process.cwd()]) {
+    const resolved = path.resolve(p);
+    if (!fs.existsSync(resolved)) {
+      warn(`Skipping non-existent path: ${p}`);
+      continue;
+    }
+    files.push(...collectImages(resolved, deep, { filter, onExclude }));
+    roots.push(resolved);
+    inputRoots.push(fs.statSync(resolved).isDirectory() ? resolved : path.dirname(resolved));
+  }
+  return { files, roots, inputRoots, excluded };
+}
+
+/**
+ * Config overrides from the compress options of this run
+ */
+function getCompressOverrides(compressArgs) {
+  return {
+    backend: compressArgs.backend,
+    resize: compressArgs.resize,
+    convert: compressArgs.convert,
+    background: compressArgs.background,
+    compressOriginal: compressArgs.compressOriginal,
+    minSize: compressArgs.minSize,
+    maxSize: compressArgs.maxSize,
+    minSavings: compressArgs.minSavings,
+    preserve: compressArgs.preserve,
+    keepMtime: compressArgs.keepMtime,
+    formats: compressArgs.formats,
+  };
+}
+
+/**
+ * Output option from --out-dir / --suffix / --backup, exits on invalid input
+ */
+function buildOutput(compressArgs, config, inputRoots) {
+  try {
+    return normalizeOutput({
+      dir: compressArgs.outDir,
+      root: inputRoots.length > 0 ? commonRoot(inputRoots) : undefined,
+      suffix: compressArgs.suffix,
+      backup: resolveBackupMode(compressArgs.backup, config.backup),
+    });
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Options of compressImage for a config and its run. The API key comes from `run`
+ * (see prepareRun), so that --check, which uploads nothing, never runs apiKeyCommand.
+ */
+function getRunOptions(config, cache, output, run) {
+  return {
+    ...getCompressOptions(config),
+    apiKey: run.key,
+    cache,
+    output,
+    keys: run.keys,
+    budget: run.budget,
+  };
+}
+
+/**
+ * How to reach the API, for backends and getCompressionCount()
+ */
+function getConnection(config) {
+  return { endpoint: config.endpoint, proxy: config.proxy, ca: config.ca };
+}
+
+/**
+ * API key, key pool (with several keys) and compression budget of a run.
+ *
+ * The budget comes from monthlyLimit / --max-compressions. With a monthly
+ * limit the current count is fetched first, and the run is refused when the
+ * limit is already reached; otherwise it stops before exceeding it.
+ *
+ * @param {Object} [sharedBudget] - budget of the whole run, used instead of a new one
+ */
+async function prepareRun(config, maxCompressions, sharedBudget) {
+  // Reading apiKeys may run apiKeyCommand, which backends without keys don't need
+  const apiKeys = getBackend(config.backend).requiresApiKey ? config.apiKeys : [];
+  // A single key has nothing to rotate to, nor usage worth remembering between runs
+  const keys = apiKeys.length > 1 ? createKeyPool(apiKeys) : null;
+  const key = keys ? keys.current() : apiKeys[0];
+  if (!sharedBudget && !config.monthlyLimit && !maxCompressions) return { keys, key, budget: null };
+  const budget = sharedBudget || createBudget({ monthlyLimit: config.monthlyLimit, maxCompressions });
+
+  const backend = getBackend(config.backend);
+  if (budget.monthlyLimit && backend.getCompressionCount && key) {
+    try {
+      const count = await backend.getCompressionCount(key, getConnection(config));
+      setBudgetCount(budget, key, count);
+      if (keys) keys.record(key, count);
+      info(`Compressions this month: ${count} / ${budget.monthlyLimit}` + (keys ? ` (API key ${maskKey(key)})` : ''));
+    } catch (e) {
+      warn(`Could not fetch the compression count: ${e.message}`);
+    }
+  }
+
+  const reason = checkBudget(budget, 1, key);
+  // With more keys left, compressImage switches to the next one instead
+  if (reason && !(reason.code !== 'run' && keys)) {
+    error(`Refusing to compress: ${reason.message}`);
+    process.exit(1);
+  }
+  return { keys, key, budget };
+}
+
+/**
+ * Monthly count to show in the summary: the latest reported during the run,
+ * or the one fetched before it. With several keys, that of the key in use.
+ */
+function getQuota(summary, run, config) {
+  let count = summary.compressionCount;
+  if (run.keys) {
+    count = run.keys.usage(run.keys.current()).count;
+  } else if (count === null && run.budget && run.key) {
+    count = getBudgetCount(run.budget, run.key);
+  }
+  return { count, limit: config.monthlyLimit };
+}
+
+/**
+ * Top directory of the git repository, or null outside one
+ */
+function getRepoRoot() {
+  try {
+    return execFileSync('git', ['rev-parse', '--show-toplevel'], {
+      encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Config of each image: that of the nearest directory with a project config or a
+ * package.json "tinypng" field, looked up from the image to the git root (the
+ * working directory outside git). Images with none, and every image when --config
+ * is given, get `config`, that of the working directory.
+ *
+ * @returns {function(string, boolean=): { config: Object, dir: string }} takes a file,
+ *   or a directory when the second argument is true
+ */
+function createConfigResolver(config, overrides, options) {
+  const cwd = process.cwd();
+  const fallback = { config, dir: cwd };
+  if (configFile) return () => fallback;
+  const rootDir = getRepoRoot() || cwd;
+  const found = new Map();
+  const configs = new Map([[cwd, fallback]]);
+  return (file, isDirectory) => {
+    const dir = findConfigDir(isDirectory ? file : path.dirname(file), rootDir, found);
+    if (!dir) return fallback;
+    if (!configs.has(dir)) configs.set(dir, { config: loadConfig(overrides, options, dir), dir });
+    return configs.get(dir);
+  };
+}
+
+/**
+ * createFilter() applying to each path the include / exclude rules of its own config
+ * @param {function} resolveConfig - from createConfigResolver()
+ */
+function createConfigFilter(resolveConfig, runArgs) {
+  const filters = new Map();
+  return {
+    check(file, options) {
+      const { config, dir } = resolveConfig(path.resolve(file), Boolean(options && options.directory));
+      if (!filters.has(dir)) filters.set(dir, createFilter(config, runArgs, dir));
+      return filters.get(dir).check(file, options);
+    },
+  };
+}
+
+/**
+ * What tells two configs apart when grouping images: their values, not where they
+ * come from. Resize patterns are relative to the directory of the config.
+ */
+function getConfigId(config, dir) {
+  const values = {};
+  for (const key of Object.keys(config)) {
+    if (!['source', 'sources', 'apiKey', 'apiKeys', 'include', 'exclude'].includes(key)) values[key] = config[key];
+  }
+  // Keys printed by apiKeyCommand are only read once compressing
+  if (!config.apiKeyCommand) values.apiKeys = config.apiKeys;
+  if (config.resize) values.dir = dir;
+  return JSON.stringify(values);
+}
+
+/**
+ * Images grouped by the config that applies to them, in the order they were found
+ * @param {function} resolveConfig - from createConfigResolver()
+ * @returns {{ config: Object, dir: string, dirs: string[], files: string[] }[]}
+ */
+function groupByConfig(files, resolveConfig) {
+  const groups = new Map();
+  for (const file of files) {
+    const { config, dir } = resolveConfig(path.resolve(file));
+    const id = getConfigId(config, dir);
+    if (!groups.has(id)) groups.set(id, { config, dir, dirs: [], files: [] });
+    const group = groups.get(id);
+    if (!group.dirs.includes(dir)) group.dirs.push(dir);
+    group.files.push(file);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Tell which config applies to which images, unless all use that of the working directory
+ */
+function printConfigGroups(groups, config) {
+  if (groups.length === 0 || (groups.length === 1 && groups[0].config === config)) return;
+  for (const group of groups) {
+    const dirs = group.dirs.map(dir => path.relative(process.cwd(), dir) || '.');
+    info(`${group.files.length} image(s) in ${dirs.join(', ')}: config from ${group.config.source}`);
+  }
+  console.log('');
+}
+
+/**
+ * Groups compressing with the same API keys share a key pool
+ */
+function getKeysId(config) {
+  return getBackend(config.backend).requiresApiKey ? JSON.stringify(config.apiKeys) : '';
+}
+
+/**
+ * Signal aborted by Ctrl+C: images in progress are cancelled, and those not
+ * started yet left alone, so that the summary and report are still written.
+ * Ctrl+C again exits right away.
+ *
+ * @returns {AbortSignal}
+ */
+function cancelOnInterrupt() {
+  const controller = createAbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) {
+      warn('\nForced exit, results of images in progress are lost.');
+      process.exit(130);
+    }
+    warn('\nCancelling, images in progress are left as they were (Ctrl+C again to force quit)...');
+    controller.abort();
+  });
+  return controller.signal;
+}
+
+/**
+ * Compress each group of images with its own config, one group after the other,
+ * and sum up the results. The budget covers the whole run: --max-compressions,
+ * and monthlyLimit from `config`, that of the working directory. Images are
+ * printed as they are done, counted across groups.
+ *
+ * @param {Object} [extraOptions] - added to the compress options of every group, e.g. `signal`
+ * @returns {Promise<{ summary: Object, quota: { count: number|null, limit: number|null } }>}
+ */
+async function compressGroups(groups, config, maxCompressions, cache, extraOptions) {
+  const budget = createBudget({ monthlyLimit: config.monthlyLimit, maxCompressions });
+  const onProgress = createProgressPrinter({
+    done: 0, total: groups.reduce((count, group) => count + group.files.length, 0),
+  });
+  const runs = new Map();
+  const results = [];
+  let run;
+  for (const group of groups) {
+    const id = getKeysId(group.config);
+    if (!runs.has(id)) runs.set(id, await prepareRun(group.config, maxCompressions, budget));
+    run = runs.get(id);
+    const summary = await compressBatch(group.files, {
+      ...getRunOptions(group.config, cache, group.output, run), root: group.dir, onProgress, ...extraOptions,
+    });
+    results.push(...summary.results);
+  }
+  const summary = summarizeResults(results);
+  return { summary, quota: getQuota(summary, run, config) };
+}
+
+/**
+ * List what include / exclude / .tinypngignore rules left out, with the rule responsible
+ */
+function printExcluded(excluded) {
+  if (excluded.length === 0) return;
+  info(`Excluded ${excluded.length} path(s):\n`);
+  for (const { file, rule } of excluded) {
+    console.log(color(`  ${file}${isImageFile(file) ? '' : path.sep}  (${rule})`, '90'));
+  }
+  console.log('');
+}
+
+function printExcludedCount(excluded) {
+  if (excluded.length === 0) return;
+  console.log(color(`Excluded ${excluded.length} path(s) by include/exclude rules (see --dry-run)`, '90'));
+}
+
 async function handleCompress() {
-  const config = loadConfig();
+  const compressArgs = parseCompressArgs();
+  const { paths, deep, dryRun, noCache, check } = compressArgs;
+  if (check && (dryRun || noCache)) {
+    error(`--check cannot be combined with ${dryRun ? '--dry-run' : '--no-cache'}`);
+    process.exit(1);
+  }
+  if (!dryRun && !check) prepareReport(compressArgs);
+  const overrides = getCompressOverrides(compressArgs);
+  // A check only reads the cache manifest, no API key needed
+  const loadOptions = { requireApiKey: !check };
+  const config = loadConfig(overrides, loadOptions);
   info(`Config source: ${config.source}`);
 
-  const { paths, deep, dryRun } = parseCompressArgs();
-  let files = [];
-
   if (paths.length === 0) {
-    info(`Compressing images in cwd${deep ? ' (recursive)' : ' (top-level only)'}...`);
-    files = collectImages(process.cwd(), deep);
-  } else {
-    for (const p of paths) {
-      const resolved = path.resolve(p);
-      if (!fs.existsSync(resolved)) {
-        warn(`Skipping non-existent path: ${p}`);
-        continue;
-      }
-      files.push(...collectImages(resolved, deep));
-    }
+    info(`${check ? 'Checking' : 'Compressing'} images in cwd${deep ? ' (recursive)' : ' (top-level only)'}...`);
+  }
+  const resolveConfig = createConfigResolver(config, overrides, loadOptions);
+  const inputs = collectInputs(paths, deep, createConfigFilter(resolveConfig, compressArgs));
+  if (!dryRun) printExcludedCount(inputs.excluded);
+
+  const groups = [];
+  for (const group of groupByConfig(dedupeFiles(inputs.files), resolveConfig)) {
+    group.output = buildOutput(compressArgs, group.config, inputs.inputRoots);
+    group.files = filterFormats(filterOutputFiles(group.files, group.output), group.config.formats);
+    group.files = filterConversionTargets(group.files, group.config.convert);
+    if (group.files.length > 0) groups.push(group);
   }
+  const fileCount = groups.reduce((count, group) => count + group.files.length, 0);
 
-  files = dedupe(files);
+  if (dryRun) printExcluded(inputs.excluded);
 
-  if (files.length === 0) {
+  if (fileCount === 0) {
     warn('No images found.');
+    if (!dryRun && !check) emitReport(compressArgs, summarizeResults([]), 'compress');
     process.exit(0);
   }
+  printConfigGroups(groups, config);
+
+  if (check) {
+    runCheck(groups);
+    return;
+  }
 
   if (dryRun) {
-    info(`Dry run: ${files.length} image(s) would be compressed:\n`);
-    for (const f of files) {
-      console.log(`  ${f}`);
+    info(`Dry run: ${fileCount} image(s) would be compressed:\n`);
+    for (const group of groups) {
+      const resizeOption = normalizeResizeOption(group.config.resize);
+      const thresholds = normalizeThresholds(group.config);
+      for (const f of group.files) {
+        const spec = resolveResize(resizeOption, f, group.dir);
+        const target = resolveOutputPath(f, group.output);
+        const outOfRange = checkSize(fs.statSync(f).size, thresholds);
+        console.log(
+          `  ${f}` +
+          (target !== f ? ` → ${target}` : '') +
+          (spec ? color(` (resize: ${describeResize(spec)})`, '36') : '') +
+          (outOfRange ? color(` (skipped: ${outOfRange.message})`, '90') : '')
+        );
+      }
     }
     return;
   }
 
-  info(`Found ${files.length} image(s), compressing...\n`);
+  info(`Found ${fileCount} image(s), compressing...\n`);
 
-  const { totalOldSize, totalNewSize, failCount } = await compressBatch(
-    files,
-    config.apiKey,
-    config.maxConcurrency,
-    config.retries
-  );
+  const cache = config.cache && !noCache ? readCache() : null;
+  const signal = cancelOnInterrupt();
+  const { summary, quota } = await compressGroups(groups, config, compressArgs.maxCompressions, cache, { signal });
+  printSummary(summary, quota);
+  emitReport(compressArgs, summary, 'compress');
+
+  if (signal.aborted) process.exit(130);
+  if (summary.failCount > 0) process.exit(1);
+}
+
+// ── check ───────────────────────────────────────────────────────────────
+
+/**
+ * --check: exit non-zero listing the images not recorded as compressed in the
+ * cache manifest, without uploading, writing or staging anything
+ * @param {{ config: Object, dir: string, output?: Object, files: string[] }[]} groups - from groupByConfig()
+ * @param {function(string): Buffer} [readContent] - content to check instead of the file on disk
+ */
+function runCheck(groups, readContent) {
+  const cache = readCache();
+  const offenders = [];
+  let total = 0;
+  for (const group of groups) {
+    const options = { ...getRunOptions(group.config, cache, group.output, {}), root: group.dir };
+    for (const f of group.files) {
+      try {
+        const result = checkImage(f, cache, options, readContent ? readContent(f) : undefined);
+        if (!result.compressed) offenders.push(f);
+      } catch (e) {
+        error(`✖ ${f}: ${e.message}`);
+        offenders.push(f);
+      }
+    }
+    total += group.files.length;
+  }
+
+  if (offenders.length === 0) {
+    success(`✔ All ${total} image(s) are compressed`);
+    return;
+  }
+  error(`${offenders.length} of ${total} image(s) are not compressed:`);
+  for (const f of offenders) {
+    console.log(color(`  - ${f}`, '31'));
+  }
+  console.log('');
+  console.log(`Compress them with ${color(`tinypng ${command}`, '1')} (without --check), ` +
+    `which records them in ${CACHE_FILE_NAME}.`);
+  process.exit(1);
+}
+
+// ── watch ───────────────────────────────────────────────────────────────
 
-  printSummary(totalOldSize, totalNewSize, files.length, failCount);
+/**
+ * One-line running total printed after each result in watch mode
+ */
+function printTally(summary) {
+  const { totalOldSize, totalNewSize, failCount, skipCount, kept, invalid, converted, results } = summary;
+  const saved = totalOldSize - totalNewSize;
+  const percent = totalOldSize ? ((saved / totalOldSize) * 100).toFixed(2) : 0;
+  console.log(color(
+    `  Total: ${results.length} image(s), saved ${formatSize(saved)} (${percent}%)` +
+    (converted.length > 0 ? `, ${converted.length} converted only` : '') +
+    (skipCount > 0 ? `, ${skipCount} skipped` : '') +
+    (kept.length > 0 ? `, ${kept.length} kept` : '') +
+    (invalid.length > 0 ? `, ${invalid.length} not valid` : '') +
+    (failCount > 0 ? `, ${failCount} failed` : ''),
+    '90'
+  ));
+}
 
-  if (failCount > 0) process.exit(1);
+/**
+ * Files written for a result: the compressed image and its converted siblings
+ */
+function getResultWrites(result) {
+  if (!result.success || result.skipped) return [];
+  const written = result.conversions.map(c => c.file);
+  if (result.output) written.push(result.output);
+  return written;
+}
+
+const WATCH_BREAKER_COOLDOWN = 60 * 1000;
+
+async function handleWatch() {
+  const compressArgs = parseCompressArgs();
+  const { paths, deep, noCache } = compressArgs;
+  if (compressArgs.dryRun || compressArgs.check) {
+    error(`${compressArgs.dryRun ? '--dry-run' : '--check'} is not supported in watch mode`);
+    process.exit(1);
+  }
+  prepareReport(compressArgs);
+  const config = loadConfig(getCompressOverrides(compressArgs));
+  info(`Config source: ${config.source}`);
+
+  const filter = createFilter(config, compressArgs);
+  const { roots, inputRoots } = collectInputs(paths, deep, filter);
+  if (roots.length === 0) {
+    warn('Nothing to watch.');
+    process.exit(0);
+  }
+  const output = buildOutput(compressArgs, config, inputRoots);
+
+  const run = await prepareRun(config, compressArgs.maxCompressions);
+  const cache = config.cache && !noCache ? readCache() : null;
+  // Images are tagged against all those added so far
+  const progress = { done: 0, total: 0 };
+  const controller = createAbortController();
+  let queue;
+  try {
+    // Uploads stopped by the circuit breaker are tried again after a while
+    const breaker = createCircuitBreaker(config.circuitBreaker, { cooldown: WATCH_BREAKER_COOLDOWN });
+    queue = createCompressQueue({
+      ...getRunOptions(config, cache, output, run),
+      breaker,
+      signal: controller.signal,
+      onProgress: createProgressPrinter(progress),
+    });
+  } catch (e) {
+    error(e.message);
+    process.exit(1);
+  }
+
+  const results = [];
+  const running = new Map();
+  // Content hashes of files this process wrote, so their change events are ignored
+  const ownWrites = new Map();
+
+  function isOwnWrite(file) {
+    if (!ownWrites.has(file)) return false;
+    try {
+      return hashFile(file) === ownWrites.get(file);
+    } catch {
+      return false;
+    }
+  }
+
+  function compress(file) {
+    progress.total++;
+    const job = queue.add(file).then((result) => {
+      results.push(result);
+      for (const f of getResultWrites(result)) {
+        try {
+          ownWrites.set(path.resolve(f), hashFile(f));
+        } catch {}
+      }
+      if (cache) writeCache(cache);
+      printTally(summarizeResults(results));
+    }).catch((e) => {
+      // e.g. the cache manifest could not be written: report it and keep watching
+      error(`✖ ${file}: ${e.message}`);
+    }).then(() => {
+      running.delete(file);
+    });
+    running.set(file, job);
+  }
+
+  const watcher = watchImages(roots, {
+    deep,
+    formats: getImageFormats(config.formats),
+    filter: file => !running.has(file) && !isOutputFile(file, output) && !isOwnWrite(file) && !filter.check(file),
+  }, compress);
+
+  info(`Watching ${roots.length} path(s)${deep ? ' (recursive)' : ' (top-level only)'} for new and changed images...`);
+  console.log(color('Press Ctrl+C to stop.\n', '90'));
+
+  return new Promise((resolve) => {
+    let stopping = false;
+    process.on('SIGINT', () => {
+      if (controller.signal.aborted) {
+        warn('\nForced exit, results of images in progress are lost.');
+        process.exit(1);
+      }
+      if (stopping) {
+        warn('\nCancelling images in progress (Ctrl+C again to force quit)...');
+        controller.abort();
+        return;
+      }
+      stopping = true;
+      watcher.close();
+      if (running.size > 0) {
+        info(`\nWaiting for ${running.size} image(s) in progress (Ctrl+C again to cancel them)...`);
+      }
+      Promise.all(running.values()).then(() => {
+        const summary = summarizeResults(results);
+        printSummary(summary, getQuota(summary, run, config));
+        emitReport(compressArgs, summary, 'watch');
+        if (summary.failCount > 0) process.exit(1);
+        resolve();
+      });
+    });
+  });
+}
+
+/**
+ * --since <ref> is short for --range <ref>...HEAD
+ */
+function parseRangeArgs(values) {
+  const since = values['--since'];
+  const range = values['--range'];
+  if (since && range) {
+    error('--since and --range cannot be combined');
+    process.exit(1);
+  }
+  return since ? `${since}...HEAD` : range || null;
 }
 
 function parseGitArgs() {
-  const subArgs = args.slice(1);
+  const { values, rest } = parseValueOptions(args.slice(1));
   return {
-    noStage: subArgs.includes('--no-stage'),
-    noIgnore: subArgs.includes('--no-ignore'),
+    noStage: rest.includes('--no-stage'),
+    noIgnore: rest.includes('--no-ignore'),
+    noCache: rest.includes('--no-cache'),
+    check: rest.includes('--check'),
+    range: parseRangeArgs(values),
+    commit: values['--commit'],
+    backend: values['--backend'],
+    backup: values['--backup'],
+    maxCompressions: parseMaxCompressions(values),
+    include: values['--include'],
+    exclude: values['--exclude'],
+    formats: values['--formats'],
+    ...parseThresholdArgs(values),
+    ...parseConvertArgs(values, rest),
+    ...parseMetadataArgs(values, rest),
+    ...parseReportArgs(values),
   };
 }
 
+/**
+ * Files touched by a successful run: the staged images and their converted siblings
+ * @param {Set<string>} [inIndex] - images compressed in the index only, their working copy is untouched
+ */
+function getWrittenFiles(results, inIndex) {
+  const written = [];
+  for (const r of results) {
+    if (!r.success || r.skipped) continue;
+    if (!inIndex || !inIndex.has(r.file)) written.push(r.file);
+    written.push(...r.conversions.map(c => c.file));
+  }
+  return written;
+}
+
 async function handleGit() {
-  const config = loadConfig();
   const gitArgs = parseGitArgs();
+  if (gitArgs.check && gitArgs.noCache) {
+    error('--check cannot be combined with --no-cache');
+    process.exit(1);
+  }
+  if (gitArgs.commit && !gitArgs.range) {
+    error('--commit needs --since or --range');
+    process.exit(1);
+  }
+  if (!gitArgs.check) prepareReport(gitArgs);
+  const overrides = {
+    backend: gitArgs.backend,
+    convert: gitArgs.convert,
+    background: gitArgs.background,
+    compressOriginal: gitArgs.compressOriginal,
+    minSize: gitArgs.minSize,
+    maxSize: gitArgs.maxSize,
+    minSavings: gitArgs.minSavings,
+    preserve: gitArgs.preserve,
+    keepMtime: gitArgs.keepMtime,
+    formats: gitArgs.formats,
+  };
+  const loadOptions = { requireApiKey: !gitArgs.check };
+  const config = loadConfig(overrides, loadOptions);
   info(`Config source: ${config.source}`);
 
-  let files = getGitStagedImages();
+  let files = gitArgs.range ? getGitRangeImages(gitArgs.range) : getGitStagedImages();
 
   const useIgnore = config.respectGitignore && !gitArgs.noIgnore;
   if (useIgnore) {
     files = filterGitIgnored(files);
   }
+  const resolveConfig = createConfigResolver(config, overrides, loadOptions);
+  files = filterExcluded(files, createConfigFilter(resolveConfig, gitArgs));
+  files = filterOutputFiles(files, null);
+  let groups = [];
+  for (const group of groupByConfig(files, resolveConfig)) {
+    const backup = resolveBackupMode(gitArgs.backup, group.config.backup);
+    group.output = backup ? { backup } : undefined;
+    group.files = filterConversionTargets(filterFormats(group.files, group.config.formats), group.config.convert);
+    if (group.files.length > 0) groups.push(group);
+  }
+  files = [].concat(...groups.map(group => group.files));
 
   if (files.length === 0) {
-    warn('No staged images found.');
+    warn(gitArgs.range ? `No images changed in ${gitArgs.range}.` : 'No staged images found.');
+    if (!gitArgs.check) emitReport(gitArgs, summarizeResults([]), 'git');
     process.exit(0);
   }
+  printConfigGroups(groups, config);
+
+  if (gitArgs.check) {
+    runCheck(groups, gitArgs.range ? undefined : readStagedContent);
+    return;
+  }
+
+  const doStage = !gitArgs.range && config.autoStage && !gitArgs.noStage;
+  // Images with unstaged changes are compressed in the index, which needs staging
+  let partial = gitArgs.range ? [] : getPartiallyStaged(files);
+  if (partial.length > 0 && !doStage) {
+    for (const f of partial) {
+      warn(`Skipping partially staged image: ${f} (it is compressed in the index, which --no-stage rules out)`);
+    }
+    files = files.filter(f => !partial.includes(f));
+    for (const group of groups) {
+      group.files = group.files.filter(f => !partial.includes(f));
+    }
+    groups = groups.filter(group => group.files.length > 0);
+    partial = [];
+  }
 
-  info(`Found ${files.length} staged image(s), compressing...\n`);
+  const found = gitArgs.range ? `image(s) changed in ${gitArgs.range}` : 'staged image(s)';
+  info(`Found ${files.length} ${found}, compressing...\n`);
+  if (partial.length > 0) {
+    info(`${partial.length} of them have unstaged changes: their staged version is compressed, ` +
+      'the working copy is left as it is\n');
+  }
 
-  const { totalOldSize, totalNewSize, failCount, results } = await compressBatch(
-    files,
-    config.apiKey,
-    config.maxConcurrency,
-    config.retries
+  const cache = config.cache && !gitArgs.noCache ? readCache() : null;
+  const signal = cancelOnInterrupt();
+  const { summary, quota } = await compressGroups(
+    groups, config, gitArgs.maxCompressions, cache, { source: createIndexSource(partial), signal }
   );
+  const inIndex = new Set(partial);
+  const { failCount, results } = summary;
 
-  printSummary(totalOldSize, totalNewSize, files.length, failCount);
+  printSummary(summary, quota);
+  emitReport(gitArgs, summary, 'git');
+
+  // Nothing is staged or committed once cancelled
+  if (signal.aborted) {
+    const compressed = getWrittenFiles(results, inIndex);
+    if (compressed.length > 0) {
+      warn(`${compressed.length} image(s) compressed before cancelling and left in working tree (not staged).`);
+    }
+    process.exit(130);
+  }
 
   if (failCount > 0) {
     const failed = results.filter(r => !r.success).map(r => r.file);
-    const compressed = results.filter(r => r.success).map(r => r.file);
+    const compressed = getWrittenFiles(results, inIndex);
+    const staged = results.filter(r => r.success && !r.skipped && !r.threshold && inIndex.has(r.file));
     console.log('');
     error(`${failCount} image(s) failed to compress:`);
     for (const f of failed) {
@@ -406,19 +1769,116 @@ async function handleGit() {
       console.log('');
       warn(`${compressed.length} image(s) compressed successfully and left in working tree (not staged).`);
     }
+    if (staged.length > 0) {
+      warn(`${staged.length} partially staged image(s) compressed in the index.`);
+    }
     process.exit(1);
   }
 
-  const doStage = config.autoStage && !gitArgs.noStage;
+  if (gitArgs.range) {
+    const compressed = getWrittenFiles(results);
+    if (gitArgs.commit && compressed.length > 0) {
+      commitFiles(compressed, typeof gitArgs.commit === 'string' ? gitArgs.commit :
+        config.commitMessage || DEFAULT_COMMIT_MESSAGE);
+    } else if (gitArgs.commit) {
+      info('Nothing to commit');
+    }
+    return;
+  }
+
   if (doStage) {
-    const compressed = results.filter(r => r.success).map(r => r.file);
+    const compressed = getWrittenFiles(results, inIndex);
     if (compressed.length > 0) {
-      execSync(`git add ${compressed.map(f => `"${f}"`).join(' ')}`);
+      execFileSync('git', ['add', '--', ...compressed]);
       success(`✔ Auto-staged ${compressed.length} compressed image(s)`);
     }
   }
 }
 
+// ── quota ───────────────────────────────────────────────────────────────
+
+async function handleQuota() {
+  // The count belongs to the API key, whichever backend is configured
+  const config = loadConfig({ backend: 'tinify' });
+  info(`Config source: ${config.source}`);
+
+  const several = config.apiKeys.length > 1;
+  const keys = several ? createKeyPool(config.apiKeys) : null;
+  let failed = 0;
+  for (const key of config.apiKeys) {
+    const label = several ? `API key ${maskKey(key)}: ` : '';
+    let count;
+    try {
+      count = await getBackend('tinify').getCompressionCount(key, getConnection(config));
+    } catch (e) {
+      error(`${label}Failed to fetch the compression count: ${e.message}`);
+      failed++;
+      continue;
+    }
+    if (keys) keys.record(key, count);
+
+    console.log(`${label}Compressions this month: ${color(count, '1')}`);
+    if (config.monthlyLimit) {
+      const remaining = Math.max(0, config.monthlyLimit - count);
+      console.log(`${several ? '  ' : ''}Monthly limit: ${config.monthlyLimit}, remaining: ` +
+        color(remaining, remaining > 0 ? '1;32' : '1;31'));
+    }
+  }
+  if (keys) keys.save();
+  if (failed > 0) process.exit(1);
+}
+
+// ── restore ─────────────────────────────────────────────────────────────
+
+function handleRestore() {
+  const subArgs = args.slice(1);
+  const dryRun = subArgs.includes('--dry-run');
+  const paths = subArgs.filter(a => a !== '--dry-run').map(p => path.resolve(p));
+  const roots = paths.length > 0 ? paths : [process.cwd()];
+
+  const entries = listBackups(process.cwd());
+  for (const root of roots) {
+    if (!fs.existsSync(root)) {
+      warn(`Skipping non-existent path: ${path.relative(process.cwd(), root) || root}`);
+      continue;
+    }
+    for (const f of collectImages(root, true)) {
+      if (isSuffixBackup(f)) entries.push({ file: fromSuffixBackup(f), backup: f });
+    }
+  }
+
+  // With several backups of one image (e.g. both modes were used), the oldest is the true original
+  const byFile = new Map();
+  for (const e of entries) {
+    if (!roots.some(r => e.file === r || e.file.startsWith(r + path.sep))) continue;
+    e.time = fs.statSync(e.backup).mtimeMs;
+    const previous = byFile.get(e.file);
+    byFile.set(e.file, previous ? [...previous, e].sort((a, b) => a.time - b.time) : [e]);
+  }
+
+  if (byFile.size === 0) {
+    warn('No backups found.');
+    return;
+  }
+
+  if (dryRun) {
+    info(`Dry run: ${byFile.size} image(s) would be restored:\n`);
+    for (const [file, backups] of byFile) {
+      console.log(`  ${backups[0].backup} → ${file}`);
+    }
+    return;
+  }
+
+  for (const [file, backups] of byFile) {
+    restoreBackup(backups[0]);
+    for (const newer of backups.slice(1)) {
+      fs.unlinkSync(newer.backup);
+    }
+    console.log(color('✔ Restored:', '1;32') + ' ' + file);
+  }
+  success(`\n✔ Restored ${byFile.size} image(s) from backup`);
+}
+
 // ── main ────────────────────────────────────────────────────────────────
 
 async function main() {
@@ -437,6 +1897,21 @@ async function main() {
     return;
   }
 
+  if (command === 'restore') {
+    handleRestore();
+    return;
+  }
+
+  if (command === 'quota') {
+    await handleQuota();
+    return;
+  }
+
+  if (command === 'cache') {
+    handleCache();
+    return;
+  }
+
   if (command === 'compress') {
     await handleCompress();
     return;
@@ -447,6 +1922,11 @@ async function main() {
     return;
   }
 
+  if (command === 'watch') {
+    await handleWatch();
+    return;
+  }
+
   if (command) {
     error(`Unknown command: ${command}`);
   }
@@ -1,13 +1,33 @@
 'use strict';
 
-const { compressImage, compressBatch, printSummary } = require('./lib/compress');
+const {
+  compressImage, compressBuffer, createCompressStream, compressBatch, createCompressQueue, createLimiter,
+} = require('./lib/compress');
+const { printSummary } = require('./lib/log');
+const { createAbortController } = require('./lib/abort');
 const { getConfig, writeGlobalConfig, readGlobalConfig } = require('./lib/config');
+const { readCache, writeCache } = require('./lib/cache');
+const { getBackend } = require('./lib/backends');
+const { createBudget } = require('./lib/quota');
+const { createKeyPool } = require('./lib/keys');
+const { createCircuitBreaker } = require('./lib/retry');
 
 module.exports = {
   compressImage,
+  compressBuffer,
+  createCompressStream,
   compressBatch,
+  createCompressQueue,
+  createLimiter,
+  createAbortController,
   printSummary,
   getConfig,
   writeGlobalConfig,
   readGlobalConfig,
+  readCache,
+  writeCache,
+  getBackend,
+  createBudget,
+  createKeyPool,
+  createCircuitBreaker,
 };
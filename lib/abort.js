@@ -0,0 +1,79 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+/**
+ * AbortController, or a stand-in with the same `signal` interface where Node
+ * has none (before 15)
+ * @returns {{ signal: AbortSignal, abort: function(): void }}
+ */
+function createAbortController() {
+  if (typeof AbortController === 'function') return new AbortController();
+  const emitter = new EventEmitter();
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => emitter.on(type, listener),
+    removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+  };
+  return {
+    signal,
+    abort() {
+      if (signal.aborted) return;
+      signal.aborted = true;
+      emitter.emit('abort');
+    },
+  };
+}
+
+/**
+ * Call `listener` once `signal` aborts, right away when it has already
+ * @param {AbortSignal} [signal]
+ * @returns {function(): void} stops listening
+ */
+function onAbort(signal, listener) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    listener();
+    return () => {};
+  }
+  let called = false;
+  function once() {
+    if (called) return;
+    called = true;
+    signal.removeEventListener('abort', once);
+    listener();
+  }
+  signal.addEventListener('abort', once);
+  return () => signal.removeEventListener('abort', once);
+}
+
+/**
+ * Error of work stopped by an AbortSignal, with code 'EABORT'
+ */
+function abortError() {
+  return Object.assign(new Error('Cancelled'), { name: 'AbortError', code: 'EABORT' });
+}
+
+/**
+ * Resolve after `ms`, or as soon as `signal` aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    let stop = () => {};
+    const timer = setTimeout(() => {
+      stop();
+      resolve();
+    }, ms);
+    stop = onAbort(signal, () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  createAbortController,
+  onAbort,
+  abortError,
+  sleep,
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+const tinify = require('./tinify');
+const local = require('./local');
+
+const BACKENDS = {
+  tinify,
+  local,
+};
+
+const DEFAULT_BACKEND = 'tinify';
+
+/**
+ * Resolve a backend by name, or pass through a custom backend object
+ * implementing `shrink(buffer, { apiKey, file, resize, convert, background, original, minSavings, preserve,
+ * timeout, connectTimeout, signal })` and resolving with `{ success, data, outputs, retryable, errorMsg, statusCode?,
+ * retryAfter?, kept? }`, where `outputs` maps each requested conversion format to a Buffer. `signal` is an
+ * AbortSignal the backend should stop its work on, when it can. A backend that can tell
+ * the savings miss `minSavings` up front may resolve the original as `data`, with the
+ * reason as `kept` (see checkSavings). `statusCode` and `retryAfter` (ms) tell how to retry
+ * a failure (see classifyFailure).
+ *
+ * Backends flagged `streaming: true` take an image on disk as a FileInput instead of a Buffer,
+ * and may write outputs to the files `options.downloadTo(format)` names, resolving them as
+ * FileOutputs (see lib/transfer.js).
+ *
+ * @param {string|Object} [backend='tinify']
+ * Backends may also implement `getCompressionCount(apiKey, { endpoint, proxy, ca, timeout })`,
+ * resolving with the monthly count of the key (used to enforce monthly limits).
+ *
+ * @returns {{ name: string, requiresApiKey: boolean, streaming?: boolean, shrink: Function,
+ *   getCompressionCount?: Function }}
+ */
+function getBackend(backend) {
+  if (backend && typeof backend === 'object') {
+    if (typeof backend.shrink !== 'function') {
+      throw new Error('Custom backend must implement shrink(buffer, options)');
+    }
+    return backend;
+  }
+  const name = backend || DEFAULT_BACKEND;
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown backend: ${name} (available: ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return BACKENDS[name];
+}
+
+module.exports = {
+  getBackend,
+  BACKENDS,
+  DEFAULT_BACKEND,
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getFormat } = require('../convert');
+const { onAbort } = require('../abort');
+
+/**
+ * Encoders used by the local backend, keyed by file extension.
+ * Each one must be installed and available in PATH; `stdin: false` tools
+ * read their input from a temporary file instead of standard input.
+ */
+const ENCODERS = {
+  png: {
+    command: 'pngquant',
+    args: (input, preserve) => ['--quality=65-80', ...(preserve ? [] : ['--strip']), '-'],
+    stdin: true,
+  },
+  jpg: {
+    command: 'jpegoptim',
+    args: (input, preserve) => [
+      '--max=80', '--strip-all', ...(preserve ? ['--keep-exif'] : []), '--all-progressive', '--stdin', '--stdout',
+    ],
+    stdin: true,
+  },
+  webp: {
+    command: 'cwebp',
+    args: (input, preserve) => ['-quiet', '-q', '80', '-metadata', preserve ? 'exif' : 'none', input, '-o', '-'],
+    stdin: false,
+  },
+};
+
+/**
+ * Exit codes of tools declining to write an image worse than their quality target:
+ * the original is kept, as when compressing saves nothing
+ */
+const KEPT_EXIT_CODES = {
+  pngquant: { 99: 'pngquant could not reach its quality target' },
+};
+
+function getEncoder(file) {
+  return ENCODERS[getFormat(file || '')] || null;
+}
+
+/**
+ * @param {Buffer|FileInput} input - an image on disk is piped to the tool or read by it directly
+ * @param {string[]} [preserve] - the tools cannot pick metadata, any of it keeps EXIF
+ * @param {AbortSignal} [signal] - kills the tool
+ */
+function run(encoder, input, preserve, signal) {
+  return new Promise((resolve) => {
+    let tmpFile = null;
+    if (!encoder.stdin && Buffer.isBuffer(input)) {
+      tmpFile = path.join(os.tmpdir(), `tinypng-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+      fs.writeFileSync(tmpFile, input);
+    }
+
+    let stopListening = () => {};
+    function done(result) {
+      stopListening();
+      if (tmpFile) {
+        try {
+          fs.unlinkSync(tmpFile);
+        } catch {}
+      }
+      resolve(result);
+    }
+
+    const inputFile = tmpFile || (Buffer.isBuffer(input) ? null : input.file);
+    const child = spawn(encoder.command, encoder.args(inputFile, !!preserve), { stdio: ['pipe', 'pipe', 'pipe'] });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+
+    child.on('error', (e) => {
+      const msg = e.code === 'ENOENT'
+        ? `${encoder.command} not found in PATH (required by the local backend)`
+        : e.message;
+      done({ success: false, data: null, retryable: false, errorMsg: msg });
+    });
+
+    stopListening = onAbort(signal, () => {
+      child.kill();
+      done({ success: false, data: null, retryable: false, errorMsg: 'Cancelled', code: 'EABORT' });
+    });
+
+    child.on('close', (code) => {
+      if (code === 0 && stdout.length > 0) {
+        done({ success: true, data: Buffer.concat(stdout), retryable: false, errorMsg: null });
+        return;
+      }
+      const kept = KEPT_EXIT_CODES[encoder.command] && KEPT_EXIT_CODES[encoder.command][code];
+      if (kept) {
+        done({ success: true, data: input, retryable: false, errorMsg: null, kept: { rule: 'minSavings', message: kept } });
+        return;
+      }
+      const detail = Buffer.concat(stderr).toString().trim() || `exit code ${code}`;
+      done({ success: false, data: null, retryable: false, errorMsg: `${encoder.command}: ${detail}` });
+    });
+
+    // Encoders may exit early on invalid input, which is reported through 'close'
+    child.stdin.on('error', () => {});
+    if (!encoder.stdin) {
+      child.stdin.end();
+    } else if (Buffer.isBuffer(input)) {
+      child.stdin.end(input);
+    } else {
+      const stream = input.open();
+      stream.on('error', (e) => {
+        child.kill();
+        done({ success: false, data: null, retryable: false, errorMsg: e.message });
+      });
+      stream.pipe(child.stdin);
+    }
+  });
+}
+
+/**
+ * Offline backend: re-encode with locally installed tools
+ * (pngquant for PNG, jpegoptim for JPEG, cwebp for WebP).
+ * Resolves with { success, data, retryable, errorMsg }, and `kept` with the original
+ * as `data` when the tool would not write a worse image
+ *
+ * @param {Buffer|FileInput} input
+ * @param {{ file: string, resize?: Object, convert?: string[], preserve?: string[],
+ *   signal?: AbortSignal }} options
+ */
+function shrink(input, options) {
+  const unsupported = options.resize ? 'Resize' : (options.convert && options.convert.length > 0 ? 'Format conversion' : null);
+  if (unsupported) {
+    return Promise.resolve({
+      success: false,
+      data: null,
+      retryable: false,
+      errorMsg: `${unsupported} is not supported by the local backend`,
+    });
+  }
+  const encoder = getEncoder(options.file);
+  if (!encoder) {
+    return Promise.resolve({
+      success: false,
+      data: null,
+      retryable: false,
+      errorMsg: `Unsupported file type for the local backend: ${options.file}`,
+    });
+  }
+  return run(encoder, input, options.preserve, options.signal);
+}
+
+module.exports = {
+  name: 'local',
+  requiresApiKey: false,
+  streaming: true,
+  shrink,
+};
@@ -0,0 +1,343 @@
+'use strict';
+
+const { request, getEndpointUrl, isRetryableError } = require('../http');
+const { FORMAT_TYPES, getFormat } = require('../convert');
+const { checkSavings } = require('../thresholds');
+const { parseRetryAfter } = require('../retry');
+const { getSize, removeFile, receive } = require('../transfer');
+const { onAbort, abortError } = require('../abort');
+
+// 429 means the monthly compression limit of the key is reached, unless it comes with a Retry-After hint
+const NON_RETRYABLE_STATUS = new Set([400, 401, 415, 429]);
+
+/**
+ * Monthly compression count of the API key, sent with every API response
+ */
+function readCount(res) {
+  const count = parseInt(res.headers['compression-count'], 10);
+  return isNaN(count) ? undefined : count;
+}
+
+function maxCount(a, b) {
+  if (a === undefined) return b;
+  if (b === undefined) return a;
+  return Math.max(a, b);
+}
+
+function failure(res, body) {
+  let msg = `HTTP ${res.statusCode}`;
+  try {
+    const err = JSON.parse(body);
+    msg = `${err.error}, ${err.message}`;
+  } catch {}
+  const retryAfter = parseRetryAfter(res.headers['retry-after']);
+  const retryable = !NON_RETRYABLE_STATUS.has(res.statusCode) || (res.statusCode === 429 && retryAfter !== undefined);
+  return {
+    success: false, data: null, retryable, errorMsg: msg, statusCode: res.statusCode, compressionCount: readCount(res),
+    retryAfter,
+  };
+}
+
+function networkFailure(e) {
+  const retryable = isRetryableError(e);
+  const hint = retryable || e.code === 'EPROXYAUTH' ? '' : ' (trust the certificate with the ca config key)';
+  return { success: false, data: null, retryable, errorMsg: e.message + hint, code: e.code };
+}
+
+/**
+ * Abort a request taking longer than `connectTimeout` ms to connect, or
+ * receiving nothing for `timeout` ms; it then fails with code ETIMEDOUT.
+ * One stopped by `signal` fails with code EABORT.
+ */
+function applyTimeouts(req, options) {
+  function abort(message) {
+    const err = new Error(message);
+    err.code = 'ETIMEDOUT';
+    req.destroy(err);
+  }
+  if (options.timeout) {
+    req.setTimeout(options.timeout, () => abort(`No response for ${options.timeout / 1000}s`));
+  }
+  if (options.connectTimeout) {
+    req.on('socket', (socket) => {
+      if (!socket.connecting) return;
+      const timer = setTimeout(
+        () => abort(`Connecting took over ${options.connectTimeout / 1000}s`), options.connectTimeout
+      );
+      socket.once('connect', () => clearTimeout(timer));
+      socket.once('close', () => clearTimeout(timer));
+    });
+  }
+  if (options.signal) {
+    // Destroying the request aborts its response too, so listen until that is read
+    const stop = onAbort(options.signal, () => req.destroy(abortError()));
+    req.on('response', res => res.on('close', stop));
+    req.on('error', stop);
+  }
+}
+
+/**
+ * TinyPNG HTTP backend: upload to /shrink, then download the output location
+ * once for the compressed image and once per conversion format.
+ * Resolves with { success, data, outputs, retryable, errorMsg, statusCode, compressionCount, retryAfter },
+ * `compressionCount` being the monthly count of the key after this image and `retryAfter` the
+ * server's Retry-After hint in ms
+ *
+ * An image on disk is streamed to the upload, and outputs are streamed into the files
+ * `downloadTo` returns, so that neither is held in memory.
+ *
+ * @param {Buffer|FileInput} input
+ * @param {{ apiKey: string, file?: string, resize?: Object, convert?: string[], background?: string,
+ *   original?: boolean, minSavings?: Object, preserve?: string[], timeout?: number, connectTimeout?: number,
+ *   endpoint?: string, proxy?: string, ca?: string, downloadTo?: function(string|null): string|null,
+ *   signal?: AbortSignal }} options -
+ *   `timeout` and `connectTimeout` (ms) apply to each request, `signal` aborts them, `endpoint`, `proxy`
+ *   and `ca` tell how to reach the API (see ConnectionOptions); `resize`, `convert`, `background` and
+ *   `preserve` are applied on the output requests;
+ *   `original: false` skips downloading the compressed image in the source format. So does a `minSavings`
+ *   threshold (from normalizeThresholds) the compressed size announced by the upload response misses:
+ *   the original is resolved as `data` then, with the reason as `kept`.
+ *   `downloadTo(format)` names a new file to download an output into (format null for the source format),
+ *   resolved as a FileOutput instead of a Buffer; null downloads it into memory
+ */
+function shrink(input, options) {
+  return new Promise((resolve) => {
+    const auth = 'Basic ' + Buffer.from('api:' + options.apiKey).toString('base64');
+    const url = getEndpointUrl(options.endpoint, '/shrink');
+
+    const req = request(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': auth,
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': getSize(input),
+      },
+    }, options, (res) => {
+      let data = [];
+      res.on('data', chunk => data.push(chunk));
+      res.on('end', () => {
+        const body = Buffer.concat(data).toString();
+        if (res.statusCode === 201 && res.headers.location) {
+          const kept = checkAnnouncedSavings(input, body, options);
+          const location = new URL(res.headers.location, url);
+          downloadOutputs(location, auth, options, kept ? input : null).then((result) => {
+            if (kept && result.success) result.kept = kept;
+            result.compressionCount = maxCount(readCount(res), result.compressionCount);
+            resolve(result);
+          });
+        } else {
+          resolve(failure(res, body));
+        }
+      });
+    });
+
+    req.on('error', e => resolve(networkFailure(e)));
+    applyTimeouts(req, options);
+
+    if (Buffer.isBuffer(input)) {
+      req.end(input);
+      return;
+    }
+    const stream = input.open();
+    stream.on('error', (e) => {
+      resolve({ success: false, data: null, retryable: false, errorMsg: e.message });
+      req.destroy();
+    });
+    stream.pipe(req);
+  });
+}
+
+/**
+ * Why the compressed size in the upload response already falls short of
+ * `minSavings`, or null. Not known for resized outputs or preserved metadata,
+ * which are sized on download.
+ */
+function checkAnnouncedSavings(input, body, options) {
+  if (options.minSavings === undefined || options.original === false || options.resize || options.preserve) {
+    return null;
+  }
+  let size;
+  try {
+    size = JSON.parse(body).output.size;
+  } catch {}
+  return typeof size === 'number' ? checkSavings(getSize(input), size, options.minSavings) : null;
+}
+
+/**
+ * Build the JSON body of an output request, or null for a plain download.
+ * Metadata is preserved in the image of the source format only.
+ */
+function getOperations(options, format) {
+  const operations = {};
+  if (options.resize) operations.resize = options.resize;
+  if (format) {
+    operations.convert = { type: FORMAT_TYPES[format] };
+    if (options.background) operations.transform = { background: options.background };
+  } else if (options.preserve) {
+    operations.preserve = options.preserve;
+  }
+  return Object.keys(operations).length > 0 ? operations : null;
+}
+
+/**
+ * @param {Buffer|FileInput|null} keep - original to resolve instead of downloading the compressed image
+ */
+async function downloadOutputs(url, auth, options, keep) {
+  let data = keep;
+  let compressionCount;
+  const outputs = {};
+  const downloaded = [];
+
+  function abandon(result) {
+    // Outputs already downloaded to files are of no use without the others
+    for (const output of downloaded) {
+      if (!Buffer.isBuffer(output)) removeFile(output.file);
+    }
+    return result;
+  }
+
+  if (options.original !== false && !keep) {
+    const result = await downloadCompressed(url, auth, null, options);
+    if (!result.success) return result;
+    data = result.data;
+    downloaded.push(data);
+    compressionCount = result.compressionCount;
+  }
+
+  for (const format of options.convert || []) {
+    const result = await downloadCompressed(url, auth, format, options);
+    if (!result.success) return abandon(result);
+    outputs[format] = result.data;
+    downloaded.push(result.data);
+    compressionCount = maxCount(compressionCount, result.compressionCount);
+  }
+
+  return { success: true, data, outputs, retryable: false, errorMsg: null, compressionCount };
+}
+
+/**
+ * Why a downloaded image cannot be trusted, or null: fewer bytes than the
+ * Content-Length announced (a connection cut short), or not an image of the
+ * expected type (e.g. an error page of a proxy)
+ *
+ * @param {http.IncomingMessage} res
+ * @param {number} size - bytes received
+ * @param {string} [type] - expected MIME type, any image when not known
+ * @returns {{ message: string, retryable: boolean }|null}
+ */
+function checkDownload(res, size, type) {
+  const length = parseInt(res.headers['content-length'], 10);
+  if (!isNaN(length) && length !== size) {
+    return { message: `Incomplete download: received ${size} of ${length} bytes`, retryable: true };
+  }
+  if (size === 0) {
+    return { message: 'Empty download', retryable: true };
+  }
+  const actual = String(res.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  if (type ? actual !== type : !actual.startsWith('image/')) {
+    return { message: `Unexpected download: ${actual || 'no content type'} instead of ${type || 'an image'}`, retryable: false };
+  }
+  return null;
+}
+
+/**
+ * Fetch the compressed image, in the source format or converted to `format`.
+ * Operations such as resize or convert are requested by POSTing them as JSON
+ * to the output location instead of a GET.
+ */
+function downloadCompressed(url, auth, format, options) {
+  const operations = getOperations(options, format);
+  const type = format ? FORMAT_TYPES[format] : FORMAT_TYPES[getFormat(options.file || '')];
+  return new Promise((resolve) => {
+    const headers = { 'Authorization': auth };
+    let body = null;
+    if (operations) {
+      body = JSON.stringify(operations);
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(body);
+    }
+
+    const req = request(url, { method: body ? 'POST' : 'GET', headers }, options, (imgRes) => {
+      if (imgRes.statusCode !== 200) {
+        receive(imgRes, null).then(
+          ({ data }) => resolve(failure(imgRes, data.toString())),
+          e => resolve(networkFailure(e))
+        );
+        return;
+      }
+
+      let file;
+      try {
+        file = options.downloadTo ? options.downloadTo(format || null) : null;
+      } catch (e) {
+        imgRes.resume();
+        resolve({ success: false, data: null, retryable: false, errorMsg: e.message });
+        return;
+      }
+      receive(imgRes, file).then(({ data, size }) => {
+        const problem = checkDownload(imgRes, size, type);
+        if (problem) {
+          if (file) removeFile(file);
+          resolve({
+            success: false, data: null, retryable: problem.retryable, errorMsg: problem.message,
+            statusCode: problem.retryable ? undefined : imgRes.statusCode,
+          });
+          return;
+        }
+        resolve({
+          success: true, data: file ? { file, size } : data, retryable: false, errorMsg: null,
+          compressionCount: readCount(imgRes),
+        });
+      }, e => resolve(networkFailure(e)));
+    });
+
+    req.on('error', e => resolve(networkFailure(e)));
+    applyTimeouts(req, options);
+
+    req.end(body || undefined);
+  });
+}
+
+/**
+ * Current monthly compression count of an API key. An empty upload is
+ * rejected without being counted, but its response still carries the count.
+ *
+ * @param {string} apiKey
+ * @param {Object} [options] - `endpoint`, `proxy`, `ca`, `timeout` and `signal` as for shrink()
+ * @returns {Promise<number>}
+ */
+function getCompressionCount(apiKey, options) {
+  options = options || {};
+  return new Promise((resolve, reject) => {
+    const req = request(getEndpointUrl(options.endpoint, '/shrink'), {
+      method: 'POST',
+      headers: {
+        'Authorization': 'Basic ' + Buffer.from('api:' + apiKey).toString('base64'),
+        'Content-Length': 0,
+      },
+    }, options, (res) => {
+      let data = [];
+      res.on('data', chunk => data.push(chunk));
+      res.on('end', () => {
+        const count = readCount(res);
+        if (res.statusCode === 401 || count === undefined) {
+          reject(new Error(failure(res, Buffer.concat(data).toString()).errorMsg));
+          return;
+        }
+        resolve(count);
+      });
+    });
+
+    req.on('error', reject);
+    applyTimeouts(req, options);
+    req.end();
+  });
+}
+
+module.exports = {
+  name: 'tinify',
+  requiresApiKey: true,
+  streaming: true,
+  shrink,
+  getCompressionCount,
+};
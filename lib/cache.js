@@ -0,0 +1,218 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_FILE_NAME = '.tinypng-cache.json';
+const CACHE_VERSION = 1;
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Hash a file read in chunks, so that large images are not held in memory
+ */
+function hashFile(file) {
+  const hash = crypto.createHash('sha256');
+  const chunk = Buffer.alloc(64 * 1024);
+  const fd = fs.openSync(file, 'r');
+  try {
+    let read;
+    while ((read = fs.readSync(fd, chunk, 0, chunk.length, null)) > 0) {
+      hash.update(chunk.slice(0, read));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest('hex');
+}
+
+function toCacheKey(cache, file) {
+  return path.relative(cache.root, path.resolve(file)).split(path.sep).join('/');
+}
+
+function addToIndex(hashes, entry) {
+  const list = hashes.get(entry.hash);
+  if (list) {
+    list.push(entry);
+  } else {
+    hashes.set(entry.hash, [entry]);
+  }
+}
+
+function indexHashes(entries) {
+  const hashes = new Map();
+  for (const key of Object.keys(entries)) {
+    addToIndex(hashes, entries[key]);
+  }
+  return hashes;
+}
+
+/**
+ * Load the compression manifest of a project.
+ * A missing or unreadable manifest yields an empty cache.
+ *
+ * @param {string} [rootDir]
+ * @returns {{ root: string, file: string, entries: Object, hashes: Map<string, Object[]>, dirty: boolean }}
+ */
+function readCache(rootDir) {
+  const root = path.resolve(rootDir || process.cwd());
+  const file = path.join(root, CACHE_FILE_NAME);
+  let entries = {};
+
+  try {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (content && content.version === CACHE_VERSION && content.entries) {
+      entries = content.entries;
+    }
+  } catch {}
+
+  return { root, file, entries, hashes: indexHashes(entries), dirty: false };
+}
+
+/**
+ * Persist the manifest if it was modified since it was read
+ */
+function writeCache(cache) {
+  if (!cache.dirty) return false;
+  const sorted = {};
+  for (const key of Object.keys(cache.entries).sort()) {
+    sorted[key] = cache.entries[key];
+  }
+  const content = { version: CACHE_VERSION, entries: sorted };
+  fs.writeFileSync(cache.file, JSON.stringify(content, null, 2) + '\n', 'utf8');
+  cache.dirty = false;
+  return true;
+}
+
+function clearCache(rootDir) {
+  const file = path.join(path.resolve(rootDir || process.cwd()), CACHE_FILE_NAME);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+function sameOperations(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+/**
+ * Whether every requested operation was applied in a recorded entry
+ */
+function coversOperations(recorded, requested) {
+  return Object.keys(requested || {}).every(key =>
+    JSON.stringify(requested[key]) === JSON.stringify((recorded || {})[key]));
+}
+
+/**
+ * Whether the given content hash was produced by a previous compression
+ * that applied at least the given operations (e.g. resize)
+ *
+ * @param {Object} cache
+ * @param {string} hash
+ * @param {Object} [operations]
+ */
+function isCached(cache, hash, operations) {
+  const entries = cache.hashes.get(hash) || [];
+  return entries.some(entry => coversOperations(entry.operations, operations));
+}
+
+/**
+ * Record a file written by a compression
+ *
+ * @param {Object} cache
+ * @param {string} file
+ * @param {{ hash: string, size: number, originalSize: number, operations?: Object, source?: string }} info -
+ *   `source` is the content hash of the image a converted sibling was generated from
+ */
+function recordCompression(cache, file, info) {
+  const entry = {
+    hash: info.hash,
+    size: info.size,
+    originalSize: info.originalSize,
+    time: new Date().toISOString(),
+  };
+  if (info.operations) entry.operations = info.operations;
+  if (info.source) entry.source = info.source;
+  cache.entries[toCacheKey(cache, file)] = entry;
+  addToIndex(cache.hashes, entry);
+  cache.dirty = true;
+}
+
+/**
+ * Whether a file derived from a source (a converted sibling or a copy in an
+ * output directory) is still up to date: it exists unchanged, and was generated
+ * from a source with the given hash and with the same operations
+ */
+function isOutputCached(cache, file, sourceHash, operations) {
+  const entry = cache.entries[toCacheKey(cache, file)];
+  if (!entry || entry.source !== sourceHash || !sameOperations(entry.operations, operations)) {
+    return false;
+  }
+  try {
+    return hashFile(file) === entry.hash;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compare manifest entries against the files on disk.
+ * An entry is stale when its file is gone or its content changed since it was recorded.
+ *
+ * @returns {{ valid: string[], stale: string[], savedSize: number }}
+ */
+function inspectCache(cache) {
+  const valid = [];
+  const stale = [];
+  let savedSize = 0;
+
+  for (const key of Object.keys(cache.entries)) {
+    const entry = cache.entries[key];
+    const file = path.join(cache.root, key);
+    let current = null;
+    try {
+      current = hashFile(file);
+    } catch {}
+
+    if (current === entry.hash) {
+      valid.push(key);
+      savedSize += entry.originalSize - entry.size;
+    } else {
+      stale.push(key);
+    }
+  }
+
+  return { valid, stale, savedSize };
+}
+
+/**
+ * Drop stale entries, returns the removed keys
+ */
+function pruneCache(cache) {
+  const { stale } = inspectCache(cache);
+  for (const key of stale) {
+    delete cache.entries[key];
+  }
+  if (stale.length > 0) {
+    cache.hashes = indexHashes(cache.entries);
+    cache.dirty = true;
+  }
+  return stale;
+}
+
+module.exports = {
+  readCache,
+  writeCache,
+  clearCache,
+  hashBuffer,
+  hashFile,
+  isCached,
+  isOutputCached,
+  recordCompression,
+  inspectCache,
+  pruneCache,
+  CACHE_FILE_NAME,
+};
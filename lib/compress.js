@@ -1,182 +1,858 @@
 'use strict';
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { color, formatSize, info, warn, error: logError } = require('./utils');
-
-const NON_RETRYABLE_STATUS = new Set([401, 415]);
-
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-/**
- * Single compression attempt (upload + download)
- * Resolves with { file, oldSize, newSize, success, retryable }
- */
-function compressOnce(file, apiKey) {
-  return new Promise((resolve) => {
-    const oldSize = fs.statSync(file).size;
-    const buffer = fs.readFileSync(file);
-    const auth = 'Basic ' + Buffer.from('api:' + apiKey).toString('base64');
-
-    const req = https.request({
-      hostname: 'api.tinify.com',
-      path: '/shrink',
-      method: 'POST',
-      headers: {
-        'Authorization': auth,
-        'Content-Type': 'application/octet-stream',
-        'Content-Length': buffer.length,
-      },
-    }, (res) => {
-      let data = [];
-      res.on('data', chunk => data.push(chunk));
-      res.on('end', () => {
-        const body = Buffer.concat(data).toString();
-        if (res.statusCode === 201 && res.headers.location) {
-          downloadCompressed(res.headers.location, auth, file, oldSize, resolve);
-        } else {
-          let msg = `HTTP ${res.statusCode}`;
-          try {
-            const err = JSON.parse(body);
-            msg = `${err.error}, ${err.message}`;
-          } catch {}
-          const retryable = !NON_RETRYABLE_STATUS.has(res.statusCode);
-          resolve({ file, oldSize, newSize: oldSize, success: false, retryable, errorMsg: msg });
-        }
+const { EventEmitter } = require('events');
+const { Transform } = require('stream');
+const { hashBuffer, hashFile, isCached, isOutputCached, recordCompression, writeCache } = require('./cache');
+const { getBackend } = require('./backends');
+const { normalizeResizeOption, resolveResize } = require('./resize');
+const { normalizeFormats, normalizeBackground, planConversion } = require('./convert');
+const { normalizeOutput, resolveOutputPath, backupOriginal } = require('./output');
+const { reserveBudget, releaseBudget, markExhausted, getBudgetCount, setBudgetCount, loadBudgetCount } = require('./quota');
+const { createKeyPool } = require('./keys');
+const { normalizeThresholds, checkSize, checkSavings } = require('./thresholds');
+const { normalizeRetryOptions, classifyFailure, getRetryDelay, createCircuitBreaker } = require('./retry');
+const { normalizePreserve, readFileTimes, restoreFileTimes } = require('./metadata');
+const { createFileInput, getSize, readInput, getTempPath, removeFile, commitFile } = require('./transfer');
+const { checkImageContent } = require('./sniff');
+const { abortError, sleep } = require('./abort');
+
+/**
+ * Progress of an image, passed to `onProgress` and emitted by createCompressQueue() under its `type`:
+ *
+ *   start     - { file }, the image is being compressed
+ *   retry     - { file, attempt, maxAttempts, errorMsg, delay, reason }, an attempt failed and is retried
+ *               after `delay` ms (see BufferOptions.onRetry)
+ *   keySwitch - { file, from, to, reason }, an API key ran out and the next one is used
+ *   success   - { file, result }, the image is done: compressed, converted, kept or skipped
+ *   fail      - { file, result }, the image failed, or was cancelled (`result.code` 'EABORT')
+ *   done      - { summary }, compressBatch() is done, with what it resolves
+ *
+ * `success` and `fail` events of a batch or queue also carry `done` and `total`, the images done and added so far.
+ *
+ * @typedef {{ type: string, file?: string, result?: Object, done?: number, total?: number }} ProgressEvent
+ */
+
+/**
+ * @typedef {Object} CompressOptions
+ * @property {string|string[]} [apiKey] - several keys are used in turn (see createKeyPool)
+ * @property {number} [retries=3]
+ * @property {number} [maxConcurrency=5] - images compressed at a time by compressBatch() and createCompressQueue()
+ * @property {AbortSignal} [signal] - cancels the images in progress and those not started yet, which then fail
+ *   with code 'EABORT'
+ * @property {function(ProgressEvent)} [onProgress] - called as each image progresses; nothing is printed
+ * @property {Object} [cache] - manifest from readCache(), files recorded in it are skipped
+ * @property {string|Object} [backend='tinify'] - 'tinify', 'local' or a custom backend object
+ * @property {Object} [resize] - { method, width, height } spec, or a map of glob patterns to specs
+ * @property {string} [root=process.cwd()] - directory resize patterns are relative to
+ * @property {string[]|string} [convert] - formats to write as siblings, e.g. ['webp', 'avif']
+ * @property {string} [background] - background color for transparent-to-JPEG conversions
+ * @property {boolean} [compressOriginal=false] - when converting, also compress the source in place
+ * @property {{ dir?: string, root?: string, suffix?: string, backup?: string }} [output] - where to write
+ *   results instead of overwriting originals, or how to back originals up (see normalizeOutput)
+ * @property {Object} [budget] - from createBudget(), images that would exceed it fail without being uploaded
+ * @property {Object} [keys] - from createKeyPool(), rotates API keys on quota exhaustion (created automatically
+ *   when an array of API keys is passed)
+ * @property {number|string} [minSize] - images smaller than this are left alone, e.g. 1024 or '1KB'
+ * @property {number|string} [maxSize] - images larger than this are left alone
+ * @property {number|string} [minSavings] - keep the original when compressing saves less, in bytes or
+ *   percent (e.g. '5%'); it is always kept when the result is not smaller
+ * @property {number} [retryDelay] - ms before the first retry, doubled on each further one (see BufferOptions)
+ * @property {number} [retryMaxDelay] - longest delay between attempts
+ * @property {number} [timeout] - abort a request receiving nothing for this long (ms)
+ * @property {number} [connectTimeout] - abort a request taking longer to connect (ms)
+ * @property {number} [circuitBreaker=10] - images fail without being uploaded once this many requests in a row
+ *   failed with a server or network error, 0 never stops
+ * @property {string[]|string} [preserve] - metadata kept in compressed images: copyright, creation and/or location
+ * @property {boolean} [keepMtime=false] - give images written from a source its modification time and permissions
+ * @property {string} [endpoint] - base URL of a Tinify-compatible API (see BufferOptions)
+ * @property {string} [proxy] - HTTP(S) proxy URL, defaults to HTTPS_PROXY
+ * @property {string} [ca] - PEM file of certificates to trust in addition to the default ones
+ * @property {function(string): ({ content: Buffer, write: function(Buffer) }|null)} [source] - where to read
+ *   an image from and write it back to instead of the file on disk (null for the file), e.g. its staged
+ *   version in the git index; no backup is made of it
+ */
+
+/**
+ * Work out what compressImage has to do for a file
+ */
+function getTask(file, options) {
+  const resize = resolveResize(normalizeResizeOption(options.resize), file, options.root);
+  const convert = normalizeFormats(options.convert);
+  const background = normalizeBackground(options.background);
+  const output = normalizeOutput(options.output, options.root);
+  const plan = planConversion(file, convert, options.compressOriginal);
+  for (const t of plan.targets) {
+    t.file = resolveOutputPath(t.file, output);
+  }
+  const target = plan.inPlace ? resolveOutputPath(file, output) : null;
+  const thresholds = normalizeThresholds(options);
+  const preserve = normalizePreserve(options.preserve);
+
+  function conversionOperations(format) {
+    const operations = { convert: format };
+    if (resize) operations.resize = resize;
+    if (background) operations.background = background;
+    return operations;
+  }
+
+  return {
+    resize, background, plan, output, target, thresholds, preserve, keepMtime: !!options.keepMtime,
+    operations: resize ? { resize } : null, conversionOperations,
+  };
+}
+
+function failedResult(file, errorMsg, code) {
+  let oldSize = 0;
+  try {
+    oldSize = fs.statSync(file).size;
+  } catch {}
+  return {
+    file, oldSize, newSize: oldSize, success: false, retryable: false, errorMsg, code,
+    output: null, backup: null, conversions: [], attempts: 0,
+  };
+}
+
+/**
+ * Write the outputs of a compressed image where the task says, backing the original up first.
+ * Each output replaces its file atomically (see commitFile).
+ */
+function writeOutputs(file, task, compressed, source) {
+  const { oldSize } = compressed;
+  let newSize = oldSize;
+  let backup = null;
+  const keptInPlace = compressed.kept && task.target === file;
+  // An original kept in place is left as it is, other outputs get a copy of it
+  if (task.plan.inPlace && !keptInPlace) {
+    if (source && task.target === file) {
+      source.write(compressed.data);
+      newSize = compressed.data.length;
+    } else {
+      const times = task.keepMtime ? readFileTimes(file) : null;
+      if (task.target === file) backup = backupOriginal(file, task.output);
+      newSize = commitFile(task.target, compressed.data);
+      if (times) restoreFileTimes(task.target, times);
+    }
+  }
+
+  const conversions = task.plan.targets.map((target) => ({
+    format: target.format,
+    file: target.file,
+    oldSize,
+    newSize: commitFile(target.file, compressed.outputs[target.format]),
+  }));
+
+  return {
+    file, oldSize, newSize, success: true, skipped: !!compressed.kept && conversions.length === 0, retryable: false,
+    errorMsg: null, output: task.target, backup, conversions, threshold: compressed.kept, resize: task.resize,
+    attempts: compressed.attempts, compressionCount: compressed.compressionCount,
+  };
+}
+
+/**
+ * Compressions an image is expected to use: TinyPNG counts the upload,
+ * plus one per conversion and one for resizing
+ */
+function estimateCost(convert, resize) {
+  return 1 + (convert ? convert.length : 0) + (resize ? 1 : 0);
+}
+
+function compressError(message, props) {
+  return Object.assign(new Error(message), props);
+}
+
+/**
+ * Single backend call, failing when a requested conversion is missing
+ */
+async function shrinkOnce(backend, input, options) {
+  let output;
+  try {
+    output = await backend.shrink(input, options);
+  } catch (e) {
+    return { success: false, data: null, retryable: false, errorMsg: e.message };
+  }
+
+  if (output.success) {
+    const missing = (options.convert || []).find(format => !output.outputs || !output.outputs[format]);
+    if (missing) {
+      return {
+        ...output, success: false, retryable: false,
+        errorMsg: `The ${backend.name || 'custom'} backend returned no ${missing} output`,
+      };
+    }
+  }
+  return output;
+}
+
+let defaultLimiter = null;
+
+/**
+ * @typedef {Object} BufferOptions
+ * @property {string|string[]} [apiKey] - several keys are used in turn (see createKeyPool)
+ * @property {string|Object} [backend='tinify'] - 'tinify', 'local' or a custom backend object
+ * @property {number} [retries=3]
+ * @property {number} [retryDelay=1000] - ms before the first retry, doubled on each further one (with jitter)
+ * @property {number} [retryMaxDelay=30000] - longest delay between attempts, and longest Retry-After hint honored
+ * @property {number} [timeout=60000] - abort a request receiving nothing for this long (ms)
+ * @property {number} [connectTimeout=15000] - abort a request taking longer to connect (ms)
+ * @property {Object} [breaker] - from createCircuitBreaker(), fails uploads right away once too many
+ *   requests in a row failed
+ * @property {string} [endpoint='https://api.tinify.com'] - base URL of a Tinify-compatible API
+ * @property {string} [proxy] - HTTP(S) proxy URL, defaults to HTTPS_PROXY (NO_PROXY honored)
+ * @property {string} [ca] - PEM file of certificates to trust in addition to the default ones
+ * @property {Object} [resize] - { method, width, height } spec, or a map of glob patterns matched against `file`
+ * @property {string[]|string} [convert] - formats to convert to, returned in `outputs`
+ * @property {string} [background] - background color for transparent-to-JPEG conversions
+ * @property {boolean} [original=true] - false skips the compressed image in the source format when converting
+ * @property {number|string} [minSavings] - keep the original when compressing saves less, in bytes or percent
+ * @property {string[]|string} [preserve] - metadata kept in the compressed image: copyright, creation and/or location
+ * @property {string} [file] - name of the image, used for resize patterns and by the local backend to pick an encoder
+ * @property {string} [root=process.cwd()] - directory resize patterns are relative to
+ * @property {Object} [budget] - from createBudget()
+ * @property {Object} [keys] - from createKeyPool(), shares exhausted keys between calls
+ * @property {Object|false} [limiter] - from createLimiter(); calls share a limit of 5 concurrent compressions
+ *   by default, false starts right away
+ * @property {function({ attempt: number, maxAttempts: number, errorMsg: string, delay: number, reason: string })}
+ *   [onRetry] - reason is 'rate-limit', 'server' or 'network' (see classifyFailure)
+ * @property {function({ from: string, to: string, reason: string })} [onKeySwitch] - reason is 'limit' or 'invalid'
+ * @property {AbortSignal} [signal] - cancels the compression, rejecting with code 'EABORT'
+ */
+
+/**
+ * Compress an image held in memory, with retries, budget checks and API key rotation.
+ * Rejects with an Error carrying `attempts`, `statusCode` and `compressionCount`;
+ * `code` is 'EBUDGET' when the budget did not allow the upload, 'ECIRCUIT' when
+ * the circuit breaker stopped it, 'EABORT' when `signal` cancelled it.
+ *
+ * @param {Buffer} buffer
+ * @param {BufferOptions} [options]
+ * @returns {Promise<{ data: Buffer|null, outputs: Object<string, Buffer>, oldSize: number, newSize: number,
+ *   resize: Object|null, kept: { rule: string, message: string }|null, attempts: number, compressionCount?: number }>}
+ *   `data` is the compressed image (null with `original: false`), `outputs` the converted ones by format;
+ *   `kept` tells why `data` is the original instead, when compressing did not save enough
+ */
+async function compressBuffer(buffer, options) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new TypeError('compressBuffer expects a Buffer');
+  }
+  return compressInput(buffer, options || {});
+}
+
+/**
+ * compressBuffer for an image in memory or on disk. Streaming backends get a
+ * FileInput as it is, and may download outputs to the files `downloadTo` names:
+ * those are resolved as FileOutputs (see lib/transfer.js), to be moved into place.
+ *
+ * @param {Buffer|FileInput} input
+ * @param {BufferOptions & { downloadTo?: function(string|null): string|null }} options
+ */
+async function compressInput(input, options) {
+  let limiter = options.limiter;
+  if (limiter === undefined) limiter = defaultLimiter || (defaultLimiter = createLimiter(5));
+  if (limiter) {
+    return limiter.run(() => compressInput(input, { ...options, limiter: false }));
+  }
+  if (!options.keys && Array.isArray(options.apiKey)) {
+    // A pool of this call alone, saved once its attempts are over
+    const keys = createKeyPool(options.apiKey);
+    try {
+      return await compressInput(input, { ...options, keys });
+    } finally {
+      keys.save();
+    }
+  }
+
+  const maxAttempts = (options.retries !== undefined ? options.retries : 3) + 1;
+  const policy = normalizeRetryOptions(options);
+  const breaker = options.breaker || null;
+  const connection = { endpoint: options.endpoint, proxy: options.proxy, ca: options.ca };
+  const backend = getBackend(options.backend);
+  const resize = resolveResize(normalizeResizeOption(options.resize), options.file || '', options.root);
+  const convert = normalizeFormats(options.convert);
+  const background = normalizeBackground(options.background);
+  const original = options.original !== false || !convert;
+  const { minSavings } = normalizeThresholds({ minSavings: options.minSavings });
+  const preserve = normalizePreserve(options.preserve);
+  const budget = options.budget;
+  const keys = options.keys || null;
+  const onRetry = options.onRetry || (() => {});
+  const onKeySwitch = options.onKeySwitch || (() => {});
+  const signal = options.signal;
+  const size = getSize(input);
+
+  /**
+   * A monthly limit is checked against what the key has used already,
+   * so look its count up before the first upload with it
+   */
+  async function loadKeyCount(key) {
+    if (!budget || !budget.monthlyLimit || getBudgetCount(budget, key) !== null) return;
+    if (keys) setBudgetCount(budget, key, keys.usage(key).count);
+    if (backend.getCompressionCount) {
+      await loadBudgetCount(budget, key, k => backend.getCompressionCount(k, {
+        ...connection, timeout: policy.timeout, signal,
+      }));
+    }
+  }
+
+  /**
+   * Hand over to the next API key, false when none is left
+   */
+  async function switchKey(from, reason) {
+    const { next, changed } = keys.exhaust(from, reason);
+    if (!next) return false;
+    if (changed) onKeySwitch({ from, to: next, reason });
+    await loadKeyCount(next);
+    return true;
+  }
+
+  const cost = estimateCost(convert, resize);
+  // Custom backends take a Buffer, read once for all attempts
+  const body = backend.streaming ? input : readInput(input);
+  let key = keys ? keys.current() : options.apiKey;
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (signal && signal.aborted) {
+      throw Object.assign(abortError(), { attempts: attempt - 1 });
+    }
+    const stopped = breaker && breaker.check();
+    if (stopped) {
+      throw compressError(stopped, { code: 'ECIRCUIT', attempts: attempt - 1, retryable: true });
+    }
+
+    await loadKeyCount(key);
+    let overBudget = budget ? reserveBudget(budget, cost, key) : null;
+    // The monthly limit applies per key, so the next key may still have room
+    while (overBudget && overBudget.code !== 'run' && keys && await switchKey(key, 'limit')) {
+      key = keys.current();
+      overBudget = reserveBudget(budget, cost, key);
+    }
+    if (overBudget) {
+      throw compressError(`Compression budget exceeded: ${overBudget.message}`, {
+        code: 'EBUDGET', reason: overBudget.message, attempts: attempt - 1,
       });
-    });
+    }
 
-    req.on('error', (e) => {
-      resolve({ file, oldSize, newSize: oldSize, success: false, retryable: true, errorMsg: e.message });
+    const output = await shrinkOnce(backend, body, {
+      apiKey: key, file: options.file, resize, convert, background, original, minSavings, preserve,
+      timeout: policy.timeout, connectTimeout: policy.connectTimeout, ...connection, downloadTo: options.downloadTo,
+      signal,
     });
+    const aborted = signal && signal.aborted && !output.success;
+    const failure = output.success ? null : classifyFailure(output);
+    // A cancelled request says nothing about the health of the API
+    if (breaker && !aborted) breaker.record(failure, output.errorMsg);
+    if (keys) keys.record(key, output.compressionCount);
+    if (budget) {
+      releaseBudget(budget, cost, key, output.compressionCount, output.success);
+      if (failure === 'limit') markExhausted(budget, key);
+    }
+    if (aborted) {
+      throw Object.assign(abortError(), { attempts: attempt, compressionCount: output.compressionCount });
+    }
 
-    req.write(buffer);
-    req.end();
+    const rejected = { 401: 'invalid', 429: 'limit' }[failure === 'rate-limit' ? null : output.statusCode];
+    if (rejected && keys && await switchKey(key, rejected)) {
+      // Trying another key does not use up an attempt
+      key = keys.current();
+      attempt--;
+      continue;
+    }
+
+    if (output.success) {
+      const kept = original ? output.kept || checkSavings(size, getSize(output.data), minSavings) : null;
+      return {
+        data: kept ? input : (original ? output.data : null),
+        outputs: output.outputs || {},
+        oldSize: size,
+        newSize: original && !kept ? getSize(output.data) : size,
+        resize,
+        kept,
+        attempts: attempt,
+        compressionCount: output.compressionCount,
+      };
+    }
+
+    const delay = output.retryable ? getRetryDelay(attempt, policy, output.retryAfter) : null;
+    if (delay === null || attempt === maxAttempts) {
+      const hint = output.retryable && delay === null
+        ? ` (asked to retry in ${Math.ceil(output.retryAfter / 1000)}s, more than retryMaxDelay)` : '';
+      throw compressError(output.errorMsg + hint, {
+        attempts: attempt, retryable: output.retryable, statusCode: output.statusCode,
+        compressionCount: output.compressionCount,
+      });
+    }
+
+    onRetry({ attempt, maxAttempts, errorMsg: output.errorMsg, delay, reason: failure });
+    await sleep(delay, signal);
+  }
+}
+
+/**
+ * Transform stream compressing the image piped through it, e.g.
+ * `req.pipe(createCompressStream({ apiKey })).pipe(res)`. The image is
+ * buffered until the input ends, then compressed with compressBuffer;
+ * a 'compressed' event carries its result before the output is written.
+ * With one `convert` format, the converted image is written instead.
+ *
+ * @param {BufferOptions} [options]
+ * @returns {stream.Transform}
+ */
+function createCompressStream(options) {
+  options = options || {};
+  const convert = normalizeFormats(options.convert);
+  if (convert && convert.length > 1) {
+    throw new Error('A compress stream converts to one format at most');
+  }
+  const chunks = [];
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+    flush(callback) {
+      compressBuffer(Buffer.concat(chunks), { ...options, convert, original: !convert }).then((result) => {
+        stream.emit('compressed', result);
+        callback(null, convert ? result.outputs[convert[0]] : result.data);
+      }, callback);
+    },
   });
+  return stream;
 }
 
-function downloadCompressed(url, auth, file, oldSize, resolve) {
-  https.get(url, { headers: { 'Authorization': auth } }, (imgRes) => {
-    let imgData = [];
-    imgRes.on('data', chunk => imgData.push(chunk));
-    imgRes.on('end', () => {
-      fs.writeFileSync(file, Buffer.concat(imgData));
-      const newSize = fs.statSync(file).size;
-      resolve({ file, oldSize, newSize, success: true, retryable: false, errorMsg: null });
+/**
+ * @param {string} [hash] - content hash of the image, read from `file` when not given
+ */
+function isTaskCached(cache, file, task, hash) {
+  if (!hash) {
+    try {
+      hash = hashFile(file);
+    } catch {}
+  }
+  if (!hash) return false;
+  if (task.target === file && !isCached(cache, hash, task.operations)) return false;
+  if (task.target && task.target !== file && !isOutputCached(cache, task.target, hash, task.operations)) return false;
+  return task.plan.targets.every(t => isOutputCached(cache, t.file, hash, task.conversionOperations(t.format)));
+}
+
+/**
+ * @param {string} [sourceHash] - content hash of the image once compressed in place, read from `file` when not given
+ */
+function recordTask(cache, file, task, result, sourceHash) {
+  sourceHash = sourceHash || hashFile(file);
+  if (task.target === file) {
+    recordCompression(cache, file, {
+      hash: sourceHash,
+      size: result.newSize,
+      originalSize: result.oldSize,
+      operations: task.operations,
     });
-  }).on('error', (e) => {
-    resolve({ file, oldSize, newSize: oldSize, success: false, retryable: true, errorMsg: e.message });
-  });
+  } else if (task.target) {
+    recordCompression(cache, task.target, {
+      hash: hashFile(task.target),
+      size: result.newSize,
+      originalSize: result.oldSize,
+      operations: task.operations,
+      source: sourceHash,
+    });
+  }
+  for (const c of result.conversions) {
+    recordCompression(cache, c.file, {
+      hash: hashFile(c.file),
+      size: c.newSize,
+      originalSize: c.oldSize,
+      operations: task.conversionOperations(c.format),
+      source: sourceHash,
+    });
+  }
 }
 
 /**
- * Compress a single image with retry support
+ * Whether a call uses the positional signature of earlier versions, e.g.
+ * compressBatch(files, apiKey, maxConcurrency, retries, options), where
+ * `args[index]` is the API key
+ */
+function isPositionalCall(args, index) {
+  const apiKey = args[index];
+  return args.length > index + 1 || typeof apiKey === 'string' || Array.isArray(apiKey) || apiKey === null;
+}
+
+/**
+ * Compress a single image file with compressBuffer and write the results.
+ * Nothing is printed: `onProgress` tells how it goes.
+ *
+ * The positional form compressImage(file, apiKey, progress, retries, options) is deprecated.
+ *
  * @param {string} file
- * @param {string} apiKey
- * @param {{ index: number, total: number }} [progress]
- * @param {number} [retries=3]
- * @returns {Promise<{ file: string, oldSize: number, newSize: number, success: boolean }>}
+ * @param {CompressOptions} [options]
+ * @returns {Promise<{ file: string, oldSize: number, newSize: number, success: boolean, skipped: boolean,
+ *   output: string|null, backup: string|null, conversions: Array, resize?: Object|null, attempts: number,
+ *   compressionCount?: number, invalid?: string, code?: string }>}
+ *   `output` is where the compressed image was written (null when only converting), `backup` where the original
+ *   was kept, `resize` the resize applied, `attempts` how many compressions were tried (0 when skipped),
+ *   `compressionCount` the monthly count of the API key reported by the backend, `invalid` why the file was skipped
+ *   as not holding the image its extension says (see checkImageContent). `code` tells why a failed image was not
+ *   uploaded: 'EBUDGET' (over budget), 'ECIRCUIT' (circuit breaker) or 'EABORT' (cancelled by `signal`)
  */
-async function compressImage(file, apiKey, progress, retries) {
-  const maxAttempts = (retries || 0) + 1;
+async function compressImage(file, options) {
+  if (isPositionalCall(arguments, 1)) {
+    const [, apiKey, , retries, rest] = arguments;
+    options = { ...rest, apiKey, retries: retries || 0 };
+  }
+  options = options || {};
+  const cache = options.cache;
+  const signal = options.signal;
+  const onProgress = options.onProgress || (() => {});
+
+  function finish(result) {
+    onProgress({ type: result.success ? 'success' : 'fail', file, result });
+    return result;
+  }
+
+  if (signal && signal.aborted) {
+    return finish(failedResult(file, abortError().message, 'EABORT'));
+  }
+  onProgress({ type: 'start', file });
+
+  let task;
+  try {
+    task = getTask(file, options);
+  } catch (e) {
+    return finish(failedResult(file, e.message));
+  }
+  const { resize } = task;
+
+  // Images on disk are streamed to the backend rather than read into memory
+  let source = null;
+  let input;
+  try {
+    source = options.source ? options.source(file) : null;
+    input = source ? source.content : createFileInput(file);
+  } catch (e) {
+    return finish(failedResult(file, e.message));
+  }
+  const size = getSize(input);
+
+  const outOfRange = checkSize(size, task.thresholds);
+  if (outOfRange) {
+    return finish({
+      file, oldSize: size, newSize: size, success: true, skipped: true, retryable: false, errorMsg: null,
+      output: null, backup: null, conversions: [], threshold: outOfRange, attempts: 0,
+    });
+  }
 
-  function tag() {
-    if (!progress) return '';
-    return color(`[${++progress.done}/${progress.total}]`, '1;35') + ' ';
+  // Files the API would reject are left alone instead of spending a compression
+  let invalid;
+  try {
+    invalid = checkImageContent(file, input);
+  } catch (e) {
+    return finish(failedResult(file, e.message));
+  }
+  if (invalid) {
+    return finish({
+      file, oldSize: size, newSize: size, success: true, skipped: true, retryable: false, errorMsg: null,
+      output: null, backup: null, conversions: [], invalid, attempts: 0,
+    });
+  }
+
+  if (cache && isTaskCached(cache, file, task, source ? hashBuffer(source.content) : undefined)) {
+    return finish({
+      file, oldSize: size, newSize: size, success: true, skipped: true, retryable: false, errorMsg: null,
+      output: null, backup: null, conversions: [], attempts: 0,
+    });
+  }
+
+  // Outputs are downloaded to temporary files next to where they go, which only
+  // replace them once complete; whatever is left of failed attempts is removed
+  const temps = [];
+  function downloadTo(format) {
+    const target = format ? task.plan.targets.find(t => t.format === format).file : task.target;
+    if (!target || (source && target === file)) return null;
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const temp = getTempPath(target);
+    temps.push(temp);
+    return temp;
   }
 
   let result;
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    result = await compressOnce(file, apiKey);
-
-    if (result.success) {
-      const t = tag();
-      const saved = result.oldSize - result.newSize;
-      const percent = result.oldSize ? ((saved / result.oldSize) * 100).toFixed(2) : 0;
-      console.log(
-        t +
-        color('✔ Compressed:', '1;32') + ' ' +
-        color(file, '1') + ', ' +
-        color(`saved ${formatSize(saved)}`, '33') + ', ' +
-        color(`${percent}% smaller`, '34')
-      );
-      return result;
+  try {
+    const compressed = await compressInput(input, {
+      apiKey: options.apiKey,
+      backend: options.backend,
+      retries: options.retries !== undefined ? options.retries : 3,
+      file,
+      resize,
+      convert: task.plan.targets.map(t => t.format),
+      background: task.background,
+      original: task.plan.inPlace,
+      minSavings: task.thresholds.minSavings,
+      preserve: task.preserve,
+      budget: options.budget,
+      keys: options.keys,
+      retryDelay: options.retryDelay,
+      retryMaxDelay: options.retryMaxDelay,
+      timeout: options.timeout,
+      connectTimeout: options.connectTimeout,
+      breaker: options.breaker,
+      endpoint: options.endpoint,
+      proxy: options.proxy,
+      ca: options.ca,
+      downloadTo,
+      signal,
+      // Callers such as compressBatch limit concurrency per file already
+      limiter: false,
+      onRetry: retry => onProgress({ type: 'retry', file, ...retry }),
+      onKeySwitch: change => onProgress({ type: 'keySwitch', file, ...change }),
+    });
+    // Local errors (unwritable output, a file removed meanwhile) are not worth retrying
+    try {
+      result = writeOutputs(file, task, compressed, source);
+      if (cache) {
+        const inPlace = task.plan.inPlace && task.target === file && !compressed.kept;
+        recordTask(cache, file, task, result, source ? hashBuffer(inPlace ? compressed.data : input) : null);
+      }
+    } catch (e) {
+      throw compressError(e.message, { attempts: compressed.attempts, compressionCount: compressed.compressionCount });
     }
+  } catch (e) {
+    return finish({
+      ...failedResult(file, e.message, e.code),
+      // The size read, also for a `source` image or a file removed meanwhile
+      oldSize: size,
+      newSize: size,
+      retryable: !!e.retryable,
+      attempts: e.attempts || 0,
+      statusCode: e.statusCode,
+      compressionCount: e.compressionCount,
+    });
+  } finally {
+    temps.forEach(removeFile);
+  }
 
-    if (!result.retryable || attempt === maxAttempts) {
-      const t = tag();
-      logError(`${t}✖ Failed: ${file}, ${result.errorMsg}`);
-      return result;
-    }
+  return finish(result);
+}
 
-    warn(`⚠ Attempt ${attempt}/${maxAttempts} failed: ${file}, ${result.errorMsg} — retrying in ${attempt}s...`);
-    await sleep(attempt * 1000);
+/**
+ * Tell whether an image was compressed already, from the cache manifest alone:
+ * nothing is uploaded or written. Its outputs and converted siblings must be
+ * recorded too, and images a size threshold leaves alone always pass.
+ *
+ * @param {string} file
+ * @param {Object} cache - manifest from readCache()
+ * @param {CompressOptions} [options]
+ * @param {Buffer} [content] - content to check instead of the file on disk, e.g. the staged version
+ * @returns {{ file: string, compressed: boolean, reason: string|null }} `reason` tells why an image
+ *   outside the size thresholds, or not holding the image its extension says, passes
+ */
+function checkImage(file, cache, options, content) {
+  const task = getTask(file, options || {});
+  const size = content ? content.length : fs.statSync(file).size;
+  const outOfRange = checkSize(size, task.thresholds);
+  if (outOfRange) {
+    return { file, compressed: true, reason: outOfRange.message };
+  }
+  const invalid = checkImageContent(file, content || createFileInput(file));
+  if (invalid) {
+    return { file, compressed: true, reason: invalid };
   }
+  const hash = content ? hashBuffer(content) : undefined;
+  return { file, compressed: isTaskCached(cache, file, task, hash), reason: null };
+}
 
-  return result;
+/**
+ * Validate batch options once up front, throws on invalid input
+ */
+function normalizeBatchOptions(options) {
+  if (!options) return options;
+  return {
+    ...options,
+    backend: getBackend(options.backend),
+    resize: normalizeResizeOption(options.resize),
+    convert: normalizeFormats(options.convert),
+    background: normalizeBackground(options.background),
+    output: normalizeOutput(options.output, options.root),
+    ...normalizeThresholds(options),
+    ...normalizeRetryOptions(options),
+    preserve: normalizePreserve(options.preserve),
+  };
 }
 
 /**
- * Batch compress images with concurrency control
- * @param {string[]} files
- * @param {string} apiKey
+ * Run async tasks at most `maxConcurrency` at a time, in the order they were added
  * @param {number} [maxConcurrency=5]
- * @param {number} [retries=3]
- * @returns {Promise<{ totalOldSize: number, totalNewSize: number, failCount: number, results: Array }>}
+ * @returns {{ run: function(function(): Promise): Promise, pending: function(): number }}
  */
-function compressBatch(files, apiKey, maxConcurrency, retries) {
+function createLimiter(maxConcurrency) {
   maxConcurrency = maxConcurrency || 5;
-  retries = retries !== undefined ? retries : 3;
-
-  return new Promise((resolve) => {
-    let index = 0;
-    let running = 0;
-    const total = files.length;
-    const progress = { done: 0, total };
-    const results = [];
-
-    function next() {
-      while (running < maxConcurrency && index < files.length) {
-        running++;
-        const currentFile = files[index++];
-
-        compressImage(currentFile, apiKey, progress, retries).then((result) => {
-          running--;
-          results.push(result);
-          if (results.length === total) {
-            const totalOldSize = results.reduce((sum, r) => sum + r.oldSize, 0);
-            const totalNewSize = results.reduce((sum, r) => sum + r.newSize, 0);
-            const failCount = results.filter(r => !r.success).length;
-            resolve({ totalOldSize, totalNewSize, failCount, results });
-          }
-          next();
-        });
-      }
+  const queue = [];
+  let running = 0;
+
+  function next() {
+    while (running < maxConcurrency && queue.length > 0) {
+      running++;
+      const { task, resolve, reject } = queue.shift();
+      Promise.resolve().then(task).then(resolve, reject).then(() => {
+        running--;
+        next();
+      });
     }
+  }
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        // Start on the next tick, so tasks added synchronously are all queued first
+        process.nextTick(next);
+      });
+    },
+    pending() {
+      return running + queue.length;
+    },
+  };
+}
+
+/**
+ * Long-lived compression queue: files can be added at any time and are
+ * compressed at most `maxConcurrency` at a time. The queue emits each
+ * ProgressEvent under its type ('start', 'retry', 'keySwitch', 'success',
+ * 'fail'), `done` and `total` counting against everything added so far.
+ *
+ * The positional form createCompressQueue(apiKey, maxConcurrency, retries, options) is deprecated.
+ *
+ * @param {CompressOptions} [options]
+ * @returns {EventEmitter & { add: function(string): Promise<Object>, pending: function(): number }}
+ */
+function createCompressQueue(options) {
+  if (isPositionalCall(arguments, 0)) {
+    const [apiKey, maxConcurrency, retries, rest] = arguments;
+    options = { ...rest, apiKey, maxConcurrency, retries };
+  }
+  options = { ...normalizeBatchOptions(options || {}) };
+  if (options.retries === undefined) options.retries = 3;
+  // One pool for the whole queue, so every image knows which keys are exhausted
+  if (!options.keys && Array.isArray(options.apiKey)) options.keys = createKeyPool(options.apiKey);
+  if (!options.breaker) options.breaker = createCircuitBreaker(options.circuitBreaker);
+
+  const limiter = createLimiter(options.maxConcurrency);
+  const progress = { done: 0, total: 0 };
+  const queue = new EventEmitter();
+  const onProgress = options.onProgress;
 
-    next();
+  function emit(event) {
+    if (event.type === 'success' || event.type === 'fail') {
+      event = { ...event, done: ++progress.done, total: progress.total };
+    }
+    queue.emit(event.type, event);
+    if (onProgress) onProgress(event);
+  }
+
+  const imageOptions = { ...options, onProgress: emit };
+  let active = 0;
+  function settle() {
+    // The key state is written once the queue runs dry, not after every image
+    if (--active === 0 && options.keys) options.keys.save();
+  }
+
+  queue.add = (file) => {
+    progress.total++;
+    active++;
+    return limiter.run(() => compressImage(file, imageOptions)).then((result) => {
+      settle();
+      return result;
+    }, (e) => {
+      settle();
+      throw e;
+    });
+  };
+  queue.pending = limiter.pending;
+  return queue;
+}
+
+/**
+ * Sum up a list of compression results
+ * @returns {{ totalOldSize: number, totalNewSize: number, failCount: number, skipCount: number,
+ *   formats: Object|null, compressionCount: number|null, kept: Array, invalid: Array, cancelled: Array,
+ *   converted: Array, results: Array }}
+ *   `compressionCount` is the latest monthly count reported by the backend, `kept` the results whose original
+ *   was left alone because of minSize / maxSize / minSavings, `invalid` those of files not holding the image
+ *   their extension says (neither counted in `skipCount`), `cancelled` those of images an AbortSignal stopped
+ *   (not counted in `failCount`), `converted` those of images only converted, whose original is left as it
+ *   was: their savings are in `formats`, not in the totals
+ */
+function summarizeResults(results) {
+  const totalOldSize = results.reduce((sum, r) => sum + r.oldSize, 0);
+  const totalNewSize = results.reduce((sum, r) => sum + r.newSize, 0);
+  const cancelled = results.filter(r => r.code === 'EABORT');
+  const failCount = results.filter(r => !r.success).length - cancelled.length;
+  const skipCount = results.filter(r => r.skipped && !r.threshold && !r.invalid).length;
+  const kept = results.filter(r => r.threshold);
+  const invalid = results.filter(r => r.invalid);
+  const converted = results.filter(r => r.success && !r.skipped && !r.output);
+  const formats = summarizeFormats(results);
+  const counts = results.map(r => r.compressionCount).filter(c => typeof c === 'number');
+  const compressionCount = counts.length > 0 ? Math.max(...counts) : null;
+  return {
+    totalOldSize, totalNewSize, failCount, skipCount, formats, compressionCount, kept, invalid, cancelled, converted,
+    results,
+  };
+}
+
+/**
+ * Batch compress images with concurrency control. Nothing is printed: `onProgress`
+ * gets the events of each image, then 'done' with the summary.
+ *
+ * The positional form compressBatch(files, apiKey, maxConcurrency, retries, options) is deprecated.
+ *
+ * @param {string[]} files
+ * @param {CompressOptions} [options] - a manifest passed as `cache` is saved once the batch finishes
+ * @returns {Promise<{ totalOldSize: number, totalNewSize: number, failCount: number, skipCount: number,
+ *   formats: Object|null, compressionCount: number|null, kept: Array, invalid: Array, cancelled: Array,
+ *   converted: Array, results: Array }>} `formats` sums up converted siblings per target format (see summarizeResults)
+ */
+function compressBatch(files, options) {
+  if (isPositionalCall(arguments, 1)) {
+    const [, apiKey, maxConcurrency, retries, rest] = arguments;
+    options = { ...rest, apiKey, maxConcurrency, retries };
+  }
+  options = options || {};
+  return new Promise((resolve, reject) => {
+    // Invalid options reject the batch
+    const queue = createCompressQueue(options);
+
+    Promise.all(files.map(file => queue.add(file))).then((results) => {
+      if (options.cache) writeCache(options.cache);
+      const summary = summarizeResults(results);
+      if (options.onProgress) options.onProgress({ type: 'done', summary });
+      resolve(summary);
+    }).catch(reject);
   });
 }
 
 /**
- * Print compression summary
+ * Total source and output sizes of converted siblings per target format
+ * @returns {Object<string, { count: number, oldSize: number, newSize: number }>|null}
  */
-function printSummary(totalOldSize, totalNewSize, fileCount, failCount) {
-  const totalSaved = totalOldSize - totalNewSize;
-  const totalPercent = totalOldSize ? ((totalSaved / totalOldSize) * 100).toFixed(2) : 0;
-  info('\n=== Summary ===');
-  info(`Files: ${fileCount}` + (failCount > 0 ? color(` (${failCount} failed)`, '1;31') : ''));
-  console.log(color(`Before: ${formatSize(totalOldSize)}`, '33'));
-  console.log(color(`After:  ${formatSize(totalNewSize)}`, '32'));
-  console.log(color(`Saved:  ${formatSize(totalSaved)}`, '1;33'));
-  console.log(color(`Ratio:  ${totalPercent}%`, '1;34'));
+function summarizeFormats(results) {
+  const formats = {};
+  for (const r of results) {
+    for (const c of r.conversions || []) {
+      const f = formats[c.format] || (formats[c.format] = { count: 0, oldSize: 0, newSize: 0 });
+      f.count++;
+      f.oldSize += c.oldSize;
+      f.newSize += c.newSize;
+    }
+  }
+  return Object.keys(formats).length > 0 ? formats : null;
 }
 
 module.exports = {
   compressImage,
+  compressBuffer,
+  createCompressStream,
   compressBatch,
-  printSummary,
+  checkImage,
+  createCompressQueue,
+  createLimiter,
+  summarizeResults,
 };
@@ -3,16 +3,54 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { execSync } = require('child_process');
+const { getBackend, DEFAULT_BACKEND } = require('./backends');
+const { normalizeApiKeys } = require('./keys');
 
 const GLOBAL_CONFIG_PATH = path.join(os.homedir(), '.tinypngrc');
 const PROJECT_CONFIG_NAME = '.tinypngrc';
 
+/**
+ * Project config files, the first one found in the project directory is used
+ */
+const PROJECT_CONFIG_FILES = ['tinypng.config.js', PROJECT_CONFIG_NAME, '.tinypngrc.json'];
+
+// Set together: the highest layer setting any of them provides all
+const API_KEY_GROUP = ['apiKey', 'apiKeys', 'apiKeyCommand'];
+
 const VALID_CONFIG_KEYS = {
   apiKey: { type: 'string', description: 'TinyPNG API Key' },
+  apiKeys: { type: 'array', description: 'Several TinyPNG API Keys, used in turn when one runs out of compressions' },
+  apiKeyCommand: { type: 'string', description: 'Command printing the API Key(s), e.g. "pass show tinypng"' },
   maxConcurrency: { type: 'number', description: 'Max concurrency (default: 5)' },
   retries: { type: 'number', description: 'Retry attempts on network failure (default: 3)' },
+  retryDelay: { type: 'number', description: 'Delay before the first retry in ms, doubled after that (default: 1000)' },
+  retryMaxDelay: { type: 'number', description: 'Longest delay between retries in ms (default: 30000)' },
+  timeout: { type: 'number', description: 'Abort a request receiving nothing for this long, in ms (default: 60000)' },
+  connectTimeout: { type: 'number', description: 'Abort a request taking longer to connect, in ms (default: 15000)' },
+  circuitBreaker: { type: 'number', description: 'Stop after this many failed requests in a row (default: 10, 0: never)' },
+  endpoint: { type: 'string', description: 'Base URL of the API, e.g. a self-hosted Tinify-compatible server' },
+  proxy: { type: 'string', description: 'HTTP(S) proxy URL (default: HTTPS_PROXY, NO_PROXY honored)' },
+  ca: { type: 'string', description: 'PEM file of certificates to trust in addition to the default ones' },
   autoStage: { type: 'boolean', description: 'Auto git-add after compress in git mode (default: true)' },
   respectGitignore: { type: 'boolean', description: 'Exclude .gitignore matched files (default: true)' },
+  cache: { type: 'boolean', description: 'Skip images recorded in .tinypng-cache.json (default: true)' },
+  backend: { type: 'string', description: 'Compression backend: tinify or local (default: tinify)' },
+  resize: { type: 'object', description: 'Resize spec, or map of glob pattern to { method, width, height }' },
+  convert: { type: 'array', description: 'Formats to write next to each image, e.g. webp,avif' },
+  background: { type: 'string', description: 'Background for transparent-to-JPEG conversion: white, black or #rrggbb' },
+  compressOriginal: { type: 'boolean', description: 'Also compress the original when converting (default: false)' },
+  backup: { type: 'string', description: 'Keep originals before overwriting: dir (.tinypng-backup/) or suffix (.orig)' },
+  monthlyLimit: { type: 'number', description: 'Monthly compression budget of the API key (free plan: 500)' },
+  include: { type: 'array', description: 'Only compress images matching these glob patterns' },
+  exclude: { type: 'array', description: 'Never compress images matching these glob patterns' },
+  formats: { type: 'array', description: 'Only compress images of these formats, e.g. png,jpg (default: all)' },
+  minSize: { type: 'string', allowNumber: true, description: 'Leave images smaller than this alone, e.g. 1KB' },
+  maxSize: { type: 'string', allowNumber: true, description: 'Leave images larger than this alone, e.g. 5MB' },
+  minSavings: { type: 'string', allowNumber: true, description: 'Keep the original when compressing saves less, e.g. 512B or 5%' },
+  preserve: { type: 'array', description: 'Metadata to keep in compressed images: copyright, creation, location' },
+  keepMtime: { type: 'boolean', description: 'Keep modification time and permissions of rewritten images (default: false)' },
+  commitMessage: { type: 'string', description: 'Message of the commit made by git --commit' },
 };
 
 function readJsonConfig(filePath) {
@@ -25,88 +63,357 @@ function readJsonConfig(filePath) {
   }
 }
 
+const EXPECTED_TYPES = {
+  string: 'a string',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'an array of strings or a comma-separated string',
+  object: 'an object',
+};
+
+/**
+ * Whether a config value has the type VALID_CONFIG_KEYS gives its key.
+ * Arrays may be given as comma-separated strings.
+ */
+function matchesType(value, def) {
+  switch (def.type) {
+    case 'array':
+      return typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    case 'string':
+      return typeof value === 'string' || (!!def.allowNumber && typeof value === 'number');
+    default:
+      return typeof value === def.type;
+  }
+}
+
+/**
+ * Check config read from a file against VALID_CONFIG_KEYS, throws listing unknown keys and wrong types
+ * @param {Object} config
+ * @param {string} source - where the config was read, used in the error message
+ */
+function validateConfig(config, source) {
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error(`Invalid config in ${source}: expected an object`);
+  }
+  const problems = [];
+  for (const key of Object.keys(config)) {
+    const def = VALID_CONFIG_KEYS[key];
+    if (!def) {
+      problems.push(`unknown key "${key}"`);
+    } else if (config[key] !== undefined && config[key] !== null && !matchesType(config[key], def)) {
+      problems.push(`"${key}" expects ${EXPECTED_TYPES[def.type]}${def.allowNumber ? ' or a number' : ''}, ` +
+        `got ${JSON.stringify(config[key])}`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid config in ${source}:\n` + problems.map(p => `  - ${p}`).join('\n') +
+      '\nRun "tinypng config list" to see the available keys');
+  }
+  return config;
+}
+
+/**
+ * Read a JSON or JavaScript (CommonJS, exporting an object) config file, null when it does not exist.
+ * Throws when it cannot be parsed or is invalid.
+ */
+function readConfigFile(file, source) {
+  if (!fs.existsSync(file)) return null;
+  let config;
+  if (/\.c?js$/.test(file)) {
+    try {
+      config = require(path.resolve(file));
+    } catch (e) {
+      throw new Error(`Cannot load ${source}: ${e.message}`);
+    }
+  } else {
+    const content = fs.readFileSync(file, 'utf8').trim();
+    if (!content) return null;
+    try {
+      config = JSON.parse(content);
+    } catch (e) {
+      throw new Error(`Cannot parse ${source}: ${e.message}`);
+    }
+  }
+  return validateConfig(config, source);
+}
+
+/**
+ * Path of the project config file, or null
+ */
+function findProjectConfig(projectDir) {
+  const name = PROJECT_CONFIG_FILES.find(n => fs.existsSync(path.join(projectDir, n)));
+  return name ? path.join(projectDir, name) : null;
+}
+
+/**
+ * Source of a project config file in messages: its path relative to the working directory
+ */
+function projectSource(file) {
+  return `project (${path.relative(process.cwd(), file)})`;
+}
+
 function readPackageJsonConfig(projectDir) {
   const pkgPath = path.join(projectDir, 'package.json');
   const pkg = readJsonConfig(pkgPath);
   if (pkg && pkg.tinypng) {
-    return pkg.tinypng;
+    return validateConfig(pkg.tinypng, projectSource(pkgPath));
   }
   return null;
 }
 
-function readProjectConfig(projectDir) {
-  const rcPath = path.join(projectDir, PROJECT_CONFIG_NAME);
-  return readJsonConfig(rcPath);
+function holdsConfig(dir, cache) {
+  if (cache && cache.has(dir)) return cache.get(dir);
+  const pkg = readJsonConfig(path.join(dir, 'package.json'));
+  const found = Boolean(findProjectConfig(dir) || (pkg && pkg.tinypng));
+  if (cache) cache.set(dir, found);
+  return found;
+}
+
+/**
+ * Nearest directory from `dir` up to `rootDir` holding a project config file or
+ * a package.json "tinypng" field, e.g. the package of an image in a monorepo.
+ * Null when there is none, or when `dir` is outside `rootDir`.
+ *
+ * @param {string} dir
+ * @param {string} rootDir - highest directory to look in, e.g. the git root
+ * @param {Map<string, boolean>} [cache] - which directories hold a config, shared between lookups
+ * @returns {string|null}
+ */
+function findConfigDir(dir, rootDir, cache) {
+  const root = path.resolve(rootDir);
+  dir = path.resolve(dir);
+  const rel = path.relative(root, dir);
+  if (rel === '..' || rel.startsWith('..' + path.sep) || path.isAbsolute(rel)) return null;
+  for (;;) {
+    if (holdsConfig(dir, cache)) return dir;
+    if (dir === root) return null;
+    dir = path.dirname(dir);
+  }
 }
 
 function readGlobalConfig() {
   return readJsonConfig(GLOBAL_CONFIG_PATH);
 }
 
-function writeGlobalConfig(config) {
-  const existing = readGlobalConfig() || {};
-  const merged = { ...existing, ...config };
-  fs.writeFileSync(GLOBAL_CONFIG_PATH, JSON.stringify(merged, null, 2), 'utf8');
+/**
+ * @param {number} [mode] - permissions of the file, also applied when it exists already
+ */
+function writeConfigFile(file, config, mode) {
+  fs.writeFileSync(file, JSON.stringify(config, null, 2), { encoding: 'utf8', mode });
+  if (mode !== undefined) fs.chmodSync(file, mode);
+}
+
+/**
+ * Set keys of a JSON config file, creating it when needed
+ */
+function updateConfigFile(file, changes, mode) {
+  const existing = readJsonConfig(file) || {};
+  const merged = { ...existing, ...changes };
+  writeConfigFile(file, merged, mode);
   return merged;
 }
 
-function deleteGlobalConfigKey(key) {
-  const existing = readGlobalConfig();
+/**
+ * Remove a key from a JSON config file, deleting the file once empty
+ * @returns {boolean} false when the key was not set
+ */
+function deleteConfigFileKey(file, key, mode) {
+  const existing = readJsonConfig(file);
   if (!existing || !(key in existing)) return false;
   delete existing[key];
   if (Object.keys(existing).length === 0) {
-    fs.unlinkSync(GLOBAL_CONFIG_PATH);
+    fs.unlinkSync(file);
   } else {
-    fs.writeFileSync(GLOBAL_CONFIG_PATH, JSON.stringify(existing, null, 2), 'utf8');
+    writeConfigFile(file, existing, mode);
   }
   return true;
 }
 
+// The global config may hold API keys, so only its owner can read it
+const GLOBAL_CONFIG_MODE = 0o600;
+
+function writeGlobalConfig(config) {
+  return updateConfigFile(GLOBAL_CONFIG_PATH, config, GLOBAL_CONFIG_MODE);
+}
+
+function deleteGlobalConfigKey(key) {
+  return deleteConfigFileKey(GLOBAL_CONFIG_PATH, key, GLOBAL_CONFIG_MODE);
+}
+
 /**
- * Resolve config with priority:
- *   env TINYPNG_API_KEY > project .tinypngrc > package.json > global ~/.tinypngrc
- *
- * Throws if no apiKey is found (safe for both CLI and programmatic usage).
+ * Whether other users can read the global config, while it holds an API key
+ */
+function isGlobalConfigExposed() {
+  if (process.platform === 'win32') return false;
+  const config = readGlobalConfig();
+  if (!config || !(config.apiKey || config.apiKeys)) return false;
+  return (fs.statSync(GLOBAL_CONFIG_PATH).mode & 0o077) !== 0;
+}
+
+/**
+ * JSON file `config set --project` writes to: the existing project config file,
+ * or a new .tinypngrc. Throws for a JavaScript config, which is edited by hand.
+ */
+function getProjectConfigPath(projectDir) {
+  const cwd = projectDir || process.cwd();
+  const file = findProjectConfig(cwd) || path.join(cwd, PROJECT_CONFIG_NAME);
+  if (/\.c?js$/.test(file)) {
+    throw new Error(`The project config is ${path.basename(file)}, edit it directly`);
+  }
+  return file;
+}
+
+function writeProjectConfig(config, projectDir) {
+  const file = getProjectConfigPath(projectDir);
+  updateConfigFile(file, config);
+  return file;
+}
+
+/**
+ * @returns {string|null} the file the key was removed from, null when it was not set
+ */
+function deleteProjectConfigKey(key, projectDir) {
+  const file = getProjectConfigPath(projectDir);
+  return deleteConfigFileKey(file, key) ? file : null;
+}
+
+/**
+ * Config sources, highest priority first:
+ *   env TINYPNG_API_KEY (or TINYPNG_API_KEY_FILE) > project config file (or `options.configFile`)
+ *   > package.json > global ~/.tinypngrc
+ * Each file is validated as it is read.
  *
  * @param {string} [projectDir]
- * @returns {{ apiKey: string, maxConcurrency: number, autoStage: boolean, source: string }}
+ * @param {{ configFile?: string }} [options] - config file to use instead of looking one up in the project
+ * @returns {{ config: Object, source: string }[]} the sources that exist
  */
-function getConfig(projectDir) {
+function readConfigLayers(projectDir, options) {
   const cwd = projectDir || process.cwd();
-  const envKey = process.env.TINYPNG_API_KEY;
+  const configFile = options && options.configFile;
+  const layers = [];
 
-  let fileConfig = null;
-  let fileSource = '';
+  if (process.env.TINYPNG_API_KEY) {
+    layers.push({ config: { apiKeys: process.env.TINYPNG_API_KEY }, source: 'env (TINYPNG_API_KEY)' });
+  } else if (process.env.TINYPNG_API_KEY_FILE) {
+    layers.push({ config: { apiKeys: readKeyFile(process.env.TINYPNG_API_KEY_FILE) }, source: 'env (TINYPNG_API_KEY_FILE)' });
+  }
 
-  const projectRc = readProjectConfig(cwd);
-  if (projectRc && projectRc.apiKey) {
-    fileConfig = projectRc;
-    fileSource = 'project (.tinypngrc)';
+  let projectFile = findProjectConfig(cwd);
+  let source = projectFile && projectSource(projectFile);
+  if (configFile) {
+    projectFile = path.resolve(cwd, configFile);
+    source = `config (${configFile})`;
+    if (!fs.existsSync(projectFile)) throw new Error(`Config file not found: ${configFile}`);
   }
+  layers.push({ config: projectFile && readConfigFile(projectFile, source), source });
+  layers.push({ config: readPackageJsonConfig(cwd), source: projectSource(path.join(cwd, 'package.json')) });
+  layers.push({ config: readConfigFile(GLOBAL_CONFIG_PATH, 'global (~/.tinypngrc)'), source: 'global (~/.tinypngrc)' });
+
+  return layers.filter(l => l.config);
+}
 
-  if (!fileConfig) {
-    const pkgConfig = readPackageJsonConfig(cwd);
-    if (pkgConfig && pkgConfig.apiKey) {
-      fileConfig = pkgConfig;
-      fileSource = 'project (package.json)';
+/**
+ * API keys in a file TINYPNG_API_KEY_FILE points to, e.g. a mounted secret,
+ * one per line or comma-separated
+ */
+function readKeyFile(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').split(/[\r\n,]+/);
+  } catch (e) {
+    throw new Error(`Cannot read TINYPNG_API_KEY_FILE ${file}: ${e.message}`);
+  }
+}
+
+const commandKeys = new Map();
+
+/**
+ * API keys printed by apiKeyCommand, one per line or comma-separated.
+ * The command runs once per process; it can prompt, e.g. for a passphrase.
+ */
+function runKeyCommand(command) {
+  if (!commandKeys.has(command)) {
+    let output;
+    try {
+      output = execSync(command, { encoding: 'utf8', stdio: ['inherit', 'pipe', 'inherit'] });
+    } catch (e) {
+      throw new Error(`apiKeyCommand failed: ${command} (${e.status ? `exit code ${e.status}` : e.message})`);
+    }
+    const keys = normalizeApiKeys(output.split(/[\r\n,]+/));
+    if (keys.length === 0) {
+      throw new Error(`apiKeyCommand printed no API Key: ${command}`);
     }
+    commandKeys.set(command, keys);
   }
+  return commandKeys.get(command);
+}
 
-  if (!fileConfig) {
-    const globalRc = readGlobalConfig();
-    if (globalRc && globalRc.apiKey) {
-      fileConfig = globalRc;
-      fileSource = 'global (~/.tinypngrc)';
+/**
+ * Merge config layers key by key, the first layer setting a key wins
+ * @param {{ config: Object, source: string }[]} layers - highest priority first
+ * @returns {{ values: Object, sources: Object<string, string> }} `sources` tells which layer each value came from
+ */
+function mergeConfigLayers(layers) {
+  const values = {};
+  const sources = {};
+  for (const layer of layers.slice().reverse()) {
+    const keys = Object.keys(layer.config).filter(k => layer.config[k] !== undefined);
+    if (keys.some(k => API_KEY_GROUP.includes(k))) {
+      for (const k of API_KEY_GROUP) {
+        delete values[k];
+        delete sources[k];
+      }
+    }
+    for (const k of keys) {
+      values[k] = layer.config[k];
+      sources[k] = layer.source;
     }
   }
+  return { values, sources };
+}
 
-  if (envKey) {
-    const merged = { ...(fileConfig || {}), apiKey: envKey };
-    return normalizeConfig(merged, 'env (TINYPNG_API_KEY)');
+/**
+ * Resolve config by merging every source key by key, with priority:
+ *   CLI overrides > env TINYPNG_API_KEY(_FILE) > project config > package.json > global ~/.tinypngrc > defaults
+ *
+ * The project config is the first of tinypng.config.js, .tinypngrc and .tinypngrc.json found
+ * in `projectDir`, or `options.configFile`. Files are validated against VALID_CONFIG_KEYS:
+ * unknown keys and wrong types throw.
+ *
+ * `apiKeys` lists every configured key (`apiKey` first, then `apiKeys`, then those printed by
+ * `apiKeyCommand`; the highest source setting any of them provides all, a comma-separated
+ * TINYPNG_API_KEY or the file TINYPNG_API_KEY_FILE names replaces them), `apiKey` is the first
+ * of them. apiKeyCommand runs when either one is first read, once per process.
+ *
+ * Throws if no apiKey is found and the selected backend needs one
+ * (safe for both CLI and programmatic usage), unless `options.requireApiKey` is false.
+ *
+ * @param {string} [projectDir]
+ * @param {Object} [overrides] - values taking precedence over every source (e.g. CLI flags), undefined ones are ignored
+ * @param {{ requireApiKey?: boolean, configFile?: string }} [options]
+ * @returns {{ apiKey: string, apiKeys: string[], maxConcurrency: number, autoStage: boolean, cache: boolean,
+ *   backend: string, source: string, sources: Object<string, string> }} `source` lists the sources used,
+ *   `sources` tells which one each set key came from
+ */
+function getConfig(projectDir, overrides, options) {
+  const layers = readConfigLayers(projectDir, options);
+
+  const cliOverrides = {};
+  for (const key of Object.keys(overrides || {})) {
+    if (overrides[key] !== undefined) cliOverrides[key] = overrides[key];
   }
+  const { values, sources } = mergeConfigLayers([{ config: cliOverrides, source: 'command line' }].concat(layers));
 
-  if (fileConfig) {
-    return normalizeConfig(fileConfig, fileSource);
+  const used = layers.map(l => l.source).filter(source => Object.keys(sources).some(k => sources[k] === source));
+  const config = normalizeConfig(values, used.length > 0 ? used.join(' + ') : 'defaults');
+  config.sources = sources;
+
+  // Reading apiKey runs apiKeyCommand, so only when a key is needed
+  if (!getBackend(config.backend).requiresApiKey || (options && options.requireApiKey === false) || config.apiKey) {
+    return config;
   }
 
   const msg = [
@@ -124,27 +431,119 @@ function getConfig(projectDir) {
     '',
     '  4. Add "tinypng" field in package.json:',
     '     { "tinypng": { "apiKey": "YOUR_API_KEY" } }',
+    '',
+    '  5. A command printing it, e.g. from a password manager:',
+    '     tinypng config set apiKeyCommand "pass show tinypng"',
+    '     or a file holding it: export TINYPNG_API_KEY_FILE=/run/secrets/tinypng',
+    '',
+    'Or compress offline without an API Key:',
+    '     tinypng config set backend local',
   ].join('\n');
 
   throw new Error(msg);
 }
 
 function normalizeConfig(raw, source) {
-  return {
-    apiKey: raw.apiKey,
+  const config = {
+    apiKey: undefined,
+    apiKeys: undefined,
+    apiKeyCommand: raw.apiKeyCommand || null,
     maxConcurrency: raw.maxConcurrency || 5,
     retries: raw.retries !== undefined ? raw.retries : 3,
+    retryDelay: raw.retryDelay,
+    retryMaxDelay: raw.retryMaxDelay,
+    timeout: raw.timeout,
+    connectTimeout: raw.connectTimeout,
+    circuitBreaker: raw.circuitBreaker,
+    endpoint: raw.endpoint || null,
+    proxy: raw.proxy || null,
+    ca: raw.ca || null,
     autoStage: raw.autoStage !== false,
     respectGitignore: raw.respectGitignore !== false,
+    cache: raw.cache !== false,
+    backend: raw.backend || DEFAULT_BACKEND,
+    resize: raw.resize || null,
+    convert: raw.convert || null,
+    background: raw.background || null,
+    compressOriginal: raw.compressOriginal === true,
+    backup: raw.backup || null,
+    monthlyLimit: raw.monthlyLimit || null,
+    include: raw.include ? [].concat(raw.include) : [],
+    exclude: raw.exclude ? [].concat(raw.exclude) : [],
+    formats: raw.formats || null,
+    minSize: raw.minSize || null,
+    maxSize: raw.maxSize || null,
+    minSavings: raw.minSavings || null,
+    preserve: raw.preserve || null,
+    keepMtime: raw.keepMtime === true,
+    commitMessage: raw.commitMessage || null,
     source,
   };
+  defineApiKeys(config, raw);
+  return config;
+}
+
+/**
+ * Make `apiKey` and `apiKeys` of a config getters, so that apiKeyCommand only
+ * runs once they are read (not at all e.g. with the local backend)
+ */
+function defineApiKeys(config, raw) {
+  let keys = null;
+  function resolve() {
+    if (!keys) {
+      keys = normalizeApiKeys(raw.apiKey, raw.apiKeys, raw.apiKeyCommand ? runKeyCommand(raw.apiKeyCommand) : null);
+    }
+    return keys;
+  }
+  Object.defineProperty(config, 'apiKeys', { get: resolve, enumerable: true, configurable: true });
+  Object.defineProperty(config, 'apiKey', { get: () => resolve()[0], enumerable: true, configurable: true });
+}
+
+/**
+ * Options of compressImage, compressBatch and createCompressQueue set by a config, shared by
+ * the CLI and the build plugins. The API key is left out, as reading it may run apiKeyCommand.
+ *
+ * @param {Object} config - as returned by getConfig()
+ * @returns {Object} CompressOptions
+ */
+function getCompressOptions(config) {
+  return {
+    maxConcurrency: config.maxConcurrency,
+    retries: config.retries,
+    backend: config.backend,
+    resize: config.resize,
+    convert: config.convert,
+    background: config.background,
+    compressOriginal: config.compressOriginal,
+    minSize: config.minSize,
+    maxSize: config.maxSize,
+    minSavings: config.minSavings,
+    preserve: config.preserve,
+    keepMtime: config.keepMtime,
+    retryDelay: config.retryDelay,
+    retryMaxDelay: config.retryMaxDelay,
+    timeout: config.timeout,
+    connectTimeout: config.connectTimeout,
+    circuitBreaker: config.circuitBreaker,
+    endpoint: config.endpoint,
+    proxy: config.proxy,
+    ca: config.ca,
+  };
 }
 
 module.exports = {
   getConfig,
+  getCompressOptions,
+  readConfigLayers,
+  mergeConfigLayers,
+  findConfigDir,
   readGlobalConfig,
   writeGlobalConfig,
   deleteGlobalConfigKey,
+  isGlobalConfigExposed,
+  writeProjectConfig,
+  deleteProjectConfigKey,
   VALID_CONFIG_KEYS,
   GLOBAL_CONFIG_PATH,
+  PROJECT_CONFIG_FILES,
 };
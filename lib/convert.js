@@ -0,0 +1,118 @@
+'use strict';
+
+const path = require('path');
+
+const FORMAT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+};
+
+const FORMAT_ALIASES = {
+  jpeg: 'jpg',
+  jfif: 'jpg',
+};
+
+const NAMED_BACKGROUNDS = ['white', 'black'];
+
+function toFormat(name) {
+  const lower = String(name).trim().toLowerCase().replace(/^\./, '');
+  return FORMAT_ALIASES[lower] || lower;
+}
+
+/**
+ * Format of a file judging by its extension, e.g. 'jpg' for photo.jpeg
+ */
+function getFormat(file) {
+  return toFormat(path.extname(file));
+}
+
+/**
+ * Validate target formats given as an array or a comma-separated string.
+ * Returns a deduped array of canonical format names, or null if empty.
+ * @param {string} [kind='conversion format'] - what the formats are for, in errors
+ */
+function normalizeFormats(formats, kind) {
+  if (!formats) return null;
+  const list = Array.isArray(formats) ? formats : String(formats).split(',');
+  const result = [];
+  for (const item of list) {
+    if (!String(item).trim()) continue;
+    const format = toFormat(item);
+    if (!FORMAT_TYPES[format]) {
+      throw new Error(`Unsupported ${kind || 'conversion format'}: ${item} ` +
+        `(available: ${Object.keys(FORMAT_TYPES).join(', ')})`);
+    }
+    if (!result.includes(format)) result.push(format);
+  }
+  return result.length > 0 ? result : null;
+}
+
+/**
+ * Validate a background color for transparent-to-JPEG conversions:
+ * "white", "black" or a hex color like "#ff8800"
+ */
+function normalizeBackground(background) {
+  if (!background) return null;
+  const value = String(background).trim().toLowerCase();
+  if (NAMED_BACKGROUNDS.includes(value) || /^#[0-9a-f]{6}$/.test(value)) return value;
+  throw new Error(`Invalid background color: ${background} (expected white, black or #rrggbb)`);
+}
+
+function siblingPath(file, format) {
+  const ext = path.extname(file);
+  return file.slice(0, file.length - ext.length) + '.' + format;
+}
+
+/**
+ * Work out what to write for a source file.
+ * A target format equal to the source format means compressing the file in place.
+ *
+ * @param {string} file
+ * @param {string[]|null} formats - output of normalizeFormats()
+ * @param {boolean} [compressOriginal] - also compress the source file in place
+ * @returns {{ inPlace: boolean, targets: Array<{ format: string, file: string }> }}
+ */
+function planConversion(file, formats, compressOriginal) {
+  if (!formats) return { inPlace: true, targets: [] };
+  const source = getFormat(file);
+  const targets = formats
+    .filter(format => format !== source)
+    .map(format => ({ format, file: siblingPath(file, format) }));
+  const inPlace = !!compressOriginal || targets.length < formats.length;
+  return { inPlace, targets };
+}
+
+/**
+ * Drop files that are conversion outputs of another file in the list
+ * (e.g. logo.webp next to logo.png when converting to webp), so they
+ * are not used as sources themselves.
+ *
+ * @returns {{ sources: string[], generated: string[] }}
+ */
+function excludeConversionTargets(files, formats) {
+  if (!formats) return { sources: files, generated: [] };
+  const targets = new Set();
+  for (const file of files) {
+    for (const target of planConversion(file, formats).targets) {
+      if (!formats.includes(getFormat(file))) targets.add(target.file);
+    }
+  }
+  const sources = [];
+  const generated = [];
+  for (const file of files) {
+    (targets.has(file) ? generated : sources).push(file);
+  }
+  return { sources, generated };
+}
+
+module.exports = {
+  FORMAT_TYPES,
+  getFormat,
+  normalizeFormats,
+  normalizeBackground,
+  siblingPath,
+  planConversion,
+  excludeConversionTargets,
+};
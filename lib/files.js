@@ -0,0 +1,107 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RULE } = require('./ignore');
+const { getFormat } = require('./convert');
+
+const IMAGE_PATTERN = /\.(png|jpg|jpeg|jfif|webp|avif)$/i;
+
+/**
+ * Whether a file is an image judging by its extension
+ * @param {string[]|null} [formats] - from normalizeFormats(), only images of these formats
+ */
+function isImageFile(file, formats) {
+  return IMAGE_PATTERN.test(file) && (!formats || formats.includes(getFormat(file)));
+}
+
+/**
+ * Entries skipped by default when collecting or watching images,
+ * (a "!" rule of createFileFilter() brings them back)
+ */
+function isSkippedDir(name) {
+  return name.startsWith('.') || name === 'node_modules';
+}
+
+/**
+ * Collect images from a file or directory path
+ * @param {string} targetPath
+ * @param {boolean} [deep] - recurse into subdirectories
+ * @param {{ filter?: Object, onExclude?: function(string, string), formats?: string[] }} [options] - `filter`
+ *   from createFileFilter() decides what to leave out, `onExclude(path, rule)` is told about each image or
+ *   directory left out (except dot directories and node_modules skipped by default), `formats` restricts
+ *   the images collected (see isImageFile)
+ * @returns {string[]} absolute paths
+ */
+function collectImages(targetPath, deep, options) {
+  options = options || {};
+  const { filter, formats } = options;
+  const onExclude = options.onExclude || (() => {});
+  const images = [];
+  const stat = fs.statSync(targetPath);
+
+  if (stat.isFile()) {
+    if (isImageFile(targetPath, formats)) {
+      const rule = filter ? filter.check(targetPath) : null;
+      if (rule) {
+        onExclude(path.resolve(targetPath), rule);
+      } else {
+        images.push(path.resolve(targetPath));
+      }
+    }
+    return images;
+  }
+
+  if (stat.isDirectory()) {
+    const entries = fs.readdirSync(targetPath);
+    for (const entry of entries) {
+      const fullPath = path.join(targetPath, entry);
+      try {
+        const entryStat = fs.statSync(fullPath);
+        const isDir = entryStat.isDirectory();
+        if (isDir ? !deep : !(entryStat.isFile() && isImageFile(entry, formats))) continue;
+
+        const initial = isSkippedDir(entry) ? DEFAULT_RULE : null;
+        const rule = filter ? filter.check(fullPath, { initial, directory: isDir }) : initial;
+        if (rule) {
+          if (!(isDir && rule === DEFAULT_RULE)) onExclude(path.resolve(fullPath), rule);
+        } else if (isDir) {
+          images.push(...collectImages(fullPath, true, options));
+        } else {
+          images.push(path.resolve(fullPath));
+        }
+      } catch {}
+    }
+  }
+
+  return images;
+}
+
+/**
+ * Drop duplicate paths, including those reaching the same file through a symlink,
+ * so that no image is compressed (and backed up) twice in a run. The first path is kept.
+ * @param {string[]} files
+ * @returns {string[]}
+ */
+function dedupeFiles(files) {
+  const seen = new Set();
+  return files.filter((file) => {
+    let real;
+    try {
+      real = fs.realpathSync(file);
+    } catch {
+      real = path.resolve(file);
+    }
+    if (seen.has(real)) return false;
+    seen.add(real);
+    return true;
+  });
+}
+
+module.exports = {
+  IMAGE_PATTERN,
+  isImageFile,
+  isSkippedDir,
+  collectImages,
+  dedupeFiles,
+};
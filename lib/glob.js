@@ -0,0 +1,100 @@
+'use strict';
+
+const path = require('path');
+
+function escapeRegExp(str) {
+  return str.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob pattern to a RegExp matching forward-slash relative paths.
+ *
+ * Supports `*`, `?`, `**`, `[abc]`, `[!abc]` and `{a,b}`. Like .gitignore,
+ * a pattern without a slash matches at any depth, a leading slash anchors it
+ * to the root, and a pattern matching a directory also matches everything inside.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let glob = pattern.trim();
+  if (glob.endsWith('/')) glob = glob.slice(0, -1);
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) glob = glob.slice(1);
+
+  let source = '';
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+
+    if (ch === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length;
+        if (atStart && glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else if (atStart && atEnd) {
+          source += '.*';
+          i += 1;
+        } else {
+          source += '[^/]*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let cls = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+        if (cls[0] === '!') cls = '^' + cls.slice(1);
+        source += `[${cls}]`;
+        i = close;
+      }
+    } else if (ch === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (ch === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (ch === ',' && braceDepth > 0) {
+      source += '|';
+    } else if (ch === '\\' && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(ch);
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  return new RegExp(prefix + source + '(?:/.*)?$');
+}
+
+/**
+ * Turn a file path into the forward-slash path relative to `rootDir`
+ * that glob patterns are matched against
+ */
+function toGlobPath(file, rootDir) {
+  return path.relative(rootDir || process.cwd(), path.resolve(file)).split(path.sep).join('/');
+}
+
+/**
+ * @param {string} pattern
+ * @param {string} file - absolute, or relative to rootDir
+ * @param {string} [rootDir=process.cwd()]
+ * @returns {boolean}
+ */
+function matchGlob(pattern, file, rootDir) {
+  return globToRegExp(pattern).test(toGlobPath(file, rootDir));
+}
+
+module.exports = {
+  globToRegExp,
+  toGlobPath,
+  matchGlob,
+};
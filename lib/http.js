@@ -0,0 +1,190 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+
+const DEFAULT_ENDPOINT = 'https://api.tinify.com';
+
+/**
+ * How requests reach the API:
+ *
+ *   endpoint - base URL of the API, e.g. a self-hosted Tinify-compatible server (default: https://api.tinify.com)
+ *   proxy    - HTTP(S) proxy URL, requests are tunneled through it with CONNECT
+ *              (default: HTTPS_PROXY, or HTTP_PROXY for an http endpoint; hosts in NO_PROXY bypass it)
+ *   ca       - PEM file of certificates trusted in addition to the default ones, e.g. of a corporate proxy
+ *
+ * @typedef {{ endpoint?: string, proxy?: string, ca?: string }} ConnectionOptions
+ */
+
+/**
+ * Full URL of an API path on the configured endpoint, keeping a base path
+ * such as https://tinify.example.com/api
+ */
+function getEndpointUrl(endpoint, pathname) {
+  const base = new URL(endpoint || DEFAULT_ENDPOINT);
+  if (base.protocol !== 'https:' && base.protocol !== 'http:') {
+    throw new Error(`Invalid endpoint: ${endpoint} (expected an http or https URL)`);
+  }
+  return new URL(base.pathname.replace(/\/+$/, '') + pathname, base);
+}
+
+function readEnv(name) {
+  return process.env[name] || process.env[name.toLowerCase()] || '';
+}
+
+/**
+ * Whether NO_PROXY exempts a host: `*`, exact names, and domain suffixes
+ * (`example.com` and `.example.com` both match `api.example.com`), optionally with a port
+ */
+function isNoProxy(url) {
+  const host = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  return readEnv('NO_PROXY').split(/[\s,]+/).filter(Boolean).some((entry) => {
+    if (entry === '*') return true;
+    const match = /^(.*?)(?::(\d+))?$/.exec(entry.toLowerCase());
+    const domain = match[1].replace(/^\*?\./, '');
+    if (match[2] && match[2] !== port) return false;
+    return host === domain || host.endsWith('.' + domain);
+  });
+}
+
+/**
+ * Proxy URL a request to `url` goes through, or null
+ * @param {URL} url
+ * @param {string} [proxy] - configured proxy, takes precedence over the environment
+ */
+function resolveProxy(url, proxy) {
+  if (isNoProxy(url)) return null;
+  const value = proxy || readEnv('HTTPS_PROXY') || (url.protocol === 'http:' ? readEnv('HTTP_PROXY') : '');
+  if (!value) return null;
+  const proxyUrl = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `http://${value}`);
+  if (proxyUrl.protocol !== 'http:' && proxyUrl.protocol !== 'https:') {
+    throw new Error(`Unsupported proxy: ${value} (expected an http or https URL)`);
+  }
+  return proxyUrl;
+}
+
+const caBundles = new Map();
+
+/**
+ * Default root certificates plus the ones of a PEM file, read once
+ */
+function loadCa(file) {
+  const resolved = path.resolve(file);
+  if (!caBundles.has(resolved)) {
+    let pem;
+    try {
+      pem = fs.readFileSync(resolved, 'utf8');
+    } catch (e) {
+      throw new Error(`Cannot read CA bundle ${file}: ${e.message}`);
+    }
+    // tls.rootCertificates exists from Node 12.3, older versions trust the bundle only
+    caBundles.set(resolved, (tls.rootCertificates || []).concat(pem));
+  }
+  return caBundles.get(resolved);
+}
+
+/**
+ * Connect to `options.host:options.port` through an HTTP CONNECT tunnel
+ */
+function connectThroughProxy(proxyUrl, options, secure, ca, callback) {
+  let done = false;
+  function finish(err, socket) {
+    if (done) return;
+    done = true;
+    callback(err, socket);
+  }
+
+  const target = `${options.host}:${options.port}`;
+  const headers = { Host: target };
+  if (proxyUrl.username) {
+    const credentials = `${decodeURIComponent(proxyUrl.username)}:${decodeURIComponent(proxyUrl.password)}`;
+    headers['Proxy-Authorization'] = 'Basic ' + Buffer.from(credentials).toString('base64');
+  }
+  const req = (proxyUrl.protocol === 'https:' ? https : http).request({
+    host: proxyUrl.hostname,
+    port: proxyUrl.port || (proxyUrl.protocol === 'https:' ? 443 : 80),
+    method: 'CONNECT',
+    path: target,
+    headers,
+    ca,
+  });
+  req.once('connect', (res, socket) => {
+    if (res.statusCode !== 200) {
+      socket.destroy();
+      const err = new Error(`Proxy ${proxyUrl.host} refused to connect to ${target}: HTTP ${res.statusCode}`);
+      err.code = res.statusCode === 407 ? 'EPROXYAUTH' : 'EPROXY';
+      finish(err);
+      return;
+    }
+    if (!secure) {
+      finish(null, socket);
+      return;
+    }
+    finish(null, tls.connect({ ...options, socket, servername: options.servername || options.host }));
+  });
+  req.once('error', e => finish(new Error(`Proxy ${proxyUrl.host}: ${e.message}`)));
+  req.end();
+}
+
+// Errors retrying cannot fix: an untrusted certificate, or credentials the proxy rejects
+const PERMANENT_ERRORS = new Set([
+  'EPROXYAUTH', 'DEPTH_ZERO_SELF_SIGNED_CERT', 'SELF_SIGNED_CERT_IN_CHAIN', 'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY', 'CERT_HAS_EXPIRED', 'ERR_TLS_CERT_ALTNAME_INVALID',
+]);
+
+/**
+ * Whether a request error is worth retrying
+ */
+function isRetryableError(e) {
+  return !PERMANENT_ERRORS.has(e.code);
+}
+
+const agents = new Map();
+
+/**
+ * Agent tunneling requests through a proxy, shared by requests with the same settings
+ */
+function getProxyAgent(proxyUrl, secure, ca, caFile) {
+  const id = `${proxyUrl.href} ${secure} ${caFile || ''}`;
+  if (!agents.has(id)) {
+    const agent = secure ? new https.Agent({ ca }) : new http.Agent();
+    agent.createConnection = (options, callback) => {
+      connectThroughProxy(proxyUrl, options, secure, ca, callback);
+    };
+    agents.set(id, agent);
+  }
+  return agents.get(id);
+}
+
+/**
+ * http(s).request to a URL, through the proxy and with the CA bundle of `connection`
+ *
+ * @param {string|URL} url
+ * @param {Object} options - http.request options such as method and headers
+ * @param {ConnectionOptions} [connection]
+ * @param {function(http.IncomingMessage)} [callback]
+ * @returns {http.ClientRequest}
+ */
+function request(url, options, connection, callback) {
+  connection = connection || {};
+  url = typeof url === 'string' ? new URL(url) : url;
+  const secure = url.protocol === 'https:';
+  const ca = connection.ca ? loadCa(connection.ca) : undefined;
+  const proxyUrl = resolveProxy(url, connection.proxy);
+  const requestOptions = { ...options };
+  if (ca && secure) requestOptions.ca = ca;
+  if (proxyUrl) requestOptions.agent = getProxyAgent(proxyUrl, secure, ca, connection.ca);
+  return (secure ? https : http).request(url, requestOptions, callback);
+}
+
+module.exports = {
+  DEFAULT_ENDPOINT,
+  getEndpointUrl,
+  resolveProxy,
+  isRetryableError,
+  request,
+};
@@ -0,0 +1,130 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { globToRegExp, toGlobPath } = require('./glob');
+
+const IGNORE_FILE_NAME = '.tinypngignore';
+
+/**
+ * Rule reported for dot files, dot directories and node_modules, which are skipped
+ * unless a rule includes them again
+ */
+const DEFAULT_RULE = 'default "dot files and node_modules"';
+
+/**
+ * @param {string} pattern - glob, `!` in front re-includes what earlier rules excluded
+ * @param {string} base - directory the pattern is relative to
+ * @param {string} source - where the rule comes from, for messages
+ */
+function createRule(pattern, base, source) {
+  const negate = pattern.startsWith('!');
+  const glob = negate ? pattern.slice(1) : pattern;
+  return { negate, base, regex: globToRegExp(glob), description: `${source} "${pattern}"` };
+}
+
+/**
+ * Parse an ignore file in .gitignore syntax: one pattern per line, `#` comments,
+ * `!` negations, `\#` / `\!` for literal leading characters
+ *
+ * @param {string} content
+ * @param {string} base - directory of the ignore file
+ * @param {string} [label] - name used in rule descriptions
+ */
+function parseIgnoreFile(content, base, label) {
+  const rules = [];
+  content.split(/\r?\n/).forEach((line, i) => {
+    const pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+    if (!pattern.trim() || pattern.startsWith('#')) return;
+    // Escaped "\#" and "\!" are left to globToRegExp, which matches them literally
+    rules.push(createRule(pattern, base, `${label || IGNORE_FILE_NAME}:${i + 1}`));
+  });
+  return rules;
+}
+
+function matchRule(rule, file) {
+  const rel = toGlobPath(file, rule.base);
+  return !rel.startsWith('../') && rule.regex.test(rel);
+}
+
+/**
+ * Decide which images to leave alone, from `exclude` / `include` globs (relative
+ * to `root`, or `configRoot` for those of the config) and `.tinypngignore` files
+ * in the directories of an image and its parents up to `root`. Like .gitignore,
+ * the last matching rule wins, deeper ignore files override shallower ones, and
+ * `--exclude` patterns come last.
+ *
+ * @param {{ root?: string, configRoot?: string, include?: string[], exclude?: string[], cliInclude?: string[],
+ *   cliExclude?: string[], ignoreFiles?: boolean }} [options] - `ignoreFiles: false` disables .tinypngignore lookup
+ * @returns {{ check: function(string, { initial?: string, directory?: boolean }=): string|null }}
+ *   `check(file)` returns the description of the rule excluding a file or directory, or null;
+ *   `initial` is the rule excluding it before any rule is applied (e.g. DEFAULT_RULE)
+ */
+function createFileFilter(options) {
+  options = options || {};
+  const root = path.resolve(options.root || process.cwd());
+  const configRoot = options.configRoot ? path.resolve(options.configRoot) : root;
+  const useIgnoreFiles = options.ignoreFiles !== false;
+  const configRules = (options.exclude || []).map(p => createRule(p, configRoot, 'exclude'));
+  const cliRules = (options.cliExclude || []).map(p => createRule(p, root, '--exclude'));
+  const includes = [
+    ...(options.include || []).map(p => createRule(p, configRoot, 'include')),
+    ...(options.cliInclude || []).map(p => createRule(p, root, '--include')),
+  ].filter(rule => !rule.negate);
+  const ignoreFiles = new Map();
+
+  function readIgnoreRules(dir) {
+    if (!ignoreFiles.has(dir)) {
+      let rules = [];
+      const file = path.join(dir, IGNORE_FILE_NAME);
+      try {
+        const label = toGlobPath(file, root);
+        rules = parseIgnoreFile(fs.readFileSync(file, 'utf8'), dir, label.startsWith('../') ? file : label);
+      } catch {}
+      ignoreFiles.set(dir, rules);
+    }
+    return ignoreFiles.get(dir);
+  }
+
+  /**
+   * Ignore file rules for a path, shallowest directory first
+   */
+  function ignoreRulesFor(file) {
+    if (!useIgnoreFiles) return [];
+    const dirs = [];
+    let dir = path.dirname(file);
+    for (;;) {
+      dirs.unshift(dir);
+      const parent = path.dirname(dir);
+      if (dir === root || parent === dir) break;
+      dir = parent;
+    }
+    const rules = [];
+    for (const d of dirs) rules.push(...readIgnoreRules(d));
+    return rules;
+  }
+
+  return {
+    check(file, options) {
+      options = options || {};
+      file = path.resolve(file);
+      let excludedBy = options.initial || null;
+      for (const rule of [...configRules, ...ignoreRulesFor(file), ...cliRules]) {
+        if (matchRule(rule, file)) excludedBy = rule.negate ? null : rule.description;
+      }
+      if (excludedBy) return excludedBy;
+      // Include patterns select images, directories are searched anyway
+      if (!options.directory && includes.length > 0 && !includes.some(rule => matchRule(rule, file))) {
+        return 'include (no pattern matched)';
+      }
+      return null;
+    },
+  };
+}
+
+module.exports = {
+  createFileFilter,
+  parseIgnoreFile,
+  IGNORE_FILE_NAME,
+  DEFAULT_RULE,
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const KEY_STATE_PATH = path.join(os.homedir(), '.tinypng-keys.json');
+// Like the global config, only readable by its owner
+const KEY_STATE_MODE = 0o600;
+
+function currentMonth() {
+  return new Date().toISOString().slice(0, 7);
+}
+
+/**
+ * Keys are remembered by fingerprint, never in plain text
+ */
+function fingerprint(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Shorten an API key for display, e.g. "Rtnc…x8Fq"
+ */
+function maskKey(key) {
+  if (!key) return '';
+  if (key.length <= 8) return '*'.repeat(key.length);
+  return `${key.slice(0, 4)}…${key.slice(-4)}`;
+}
+
+/**
+ * Split a list of API keys given as an array or a comma-separated string,
+ * dropping blanks and duplicates
+ * @returns {string[]}
+ */
+function normalizeApiKeys(...values) {
+  const keys = [];
+  for (const value of values) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    for (const key of list.map(k => String(k).trim())) {
+      if (key && !keys.includes(key)) keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Per-key usage of the current month. Entries of earlier months are dropped,
+ * so exhausted keys become available again when the month rolls over.
+ *
+ * @param {string} [file=KEY_STATE_PATH]
+ * @returns {Object<string, { month: string, count?: number, exhausted?: string }>} by key fingerprint
+ */
+function readKeyState(file) {
+  const state = {};
+  try {
+    const content = JSON.parse(fs.readFileSync(file || KEY_STATE_PATH, 'utf8'));
+    const month = currentMonth();
+    for (const id of Object.keys(content)) {
+      if (content[id] && content[id].month === month) state[id] = content[id];
+    }
+  } catch {}
+  return state;
+}
+
+function writeKeyState(state, file) {
+  try {
+    file = file || KEY_STATE_PATH;
+    fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n', { encoding: 'utf8', mode: KEY_STATE_MODE });
+    fs.chmodSync(file, KEY_STATE_MODE);
+  } catch {}
+}
+
+/**
+ * Usage remembered for a key this month
+ * @returns {{ count: number|null, exhausted: string|null }} `exhausted` is 'limit' or 'invalid'
+ */
+function getKeyUsage(key, state) {
+  const entry = (state || readKeyState())[fingerprint(key)] || {};
+  return {
+    count: typeof entry.count === 'number' ? entry.count : null,
+    exhausted: entry.exhausted || null,
+  };
+}
+
+/**
+ * Pool of API keys used in turn: when a key reaches its monthly limit or is
+ * rejected, the next one takes over. Exhausted keys are remembered in the
+ * state file until the month rolls over; once every key is exhausted they
+ * are tried again in order rather than giving up without asking the API.
+ * Changes are written by save(), once a run is over.
+ *
+ * @param {string[]|string} keys
+ * @param {{ stateFile?: string|false }} [options] - `stateFile: false` keeps the state in memory only,
+ *   as does the default with a single key, which has nothing to rotate to
+ */
+function createKeyPool(keys, options) {
+  keys = normalizeApiKeys(keys);
+  if (keys.length === 0) {
+    throw new Error('No API keys given');
+  }
+  options = options || {};
+  const stateFile = options.stateFile === undefined ? keys.length > 1 && KEY_STATE_PATH : options.stateFile;
+  const state = stateFile ? readKeyState(stateFile) : {};
+  let dirty = false;
+
+  function entry(key) {
+    const id = fingerprint(key);
+    if (!state[id]) state[id] = { month: currentMonth() };
+    return state[id];
+  }
+
+  const available = () => keys.filter(k => !(state[fingerprint(k)] || {}).exhausted);
+  let current = available()[0] || keys[0];
+
+  return {
+    keys,
+
+    current() {
+      return current;
+    },
+
+    /**
+     * Remember a key as exhausted ('limit') or rejected ('invalid') and move on
+     * @returns {{ next: string|null, changed: boolean }} `next` is null when no other key is left,
+     *   `changed` is false when the key was already marked (e.g. by a concurrent image)
+     */
+    exhaust(key, reason) {
+      const e = entry(key);
+      const changed = !e.exhausted;
+      if (changed) {
+        e.exhausted = reason;
+        dirty = true;
+      }
+      const rest = available();
+      if (rest.length === 0) return { next: null, changed };
+      if (current === key || !rest.includes(current)) current = rest[0];
+      return { next: current, changed };
+    },
+
+    /**
+     * Record the monthly count reported by the API for a key
+     */
+    record(key, count) {
+      if (typeof count !== 'number') return;
+      const e = entry(key);
+      if (e.count === count) return;
+      e.count = count;
+      dirty = true;
+    },
+
+    usage(key) {
+      return getKeyUsage(key, state);
+    },
+
+    /**
+     * Write what changed to the state file, merged with what other runs wrote meanwhile
+     */
+    save() {
+      if (!stateFile || !dirty) return;
+      writeKeyState({ ...readKeyState(stateFile), ...state }, stateFile);
+      dirty = false;
+    },
+  };
+}
+
+module.exports = {
+  createKeyPool,
+  normalizeApiKeys,
+  readKeyState,
+  getKeyUsage,
+  maskKey,
+  KEY_STATE_PATH,
+};
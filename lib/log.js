@@ -0,0 +1,190 @@
+'use strict';
+
+const { color, formatSize, info, warn, error: logError } = require('./utils');
+const { maskKey } = require('./keys');
+const { describeResize } = require('./resize');
+
+// Console output of the CLI and build plugins; the compress functions themselves print nothing
+
+function percentSmaller(oldSize, newSize) {
+  return oldSize ? (((oldSize - newSize) / oldSize) * 100).toFixed(2) : 0;
+}
+
+function describeConversions(conversions) {
+  return conversions
+    .map(c => color(`${c.format} ${formatSize(c.newSize)}`, '36') + ' ' +
+      color(`(${percentSmaller(c.oldSize, c.newSize)}% smaller)`, '34'))
+    .join(', ');
+}
+
+/**
+ * Print the line of an image result, as resolved by compressImage
+ * @param {string} [tag] - prefix, e.g. a [done/total] progress tag
+ */
+function printResult(result, tag) {
+  const t = tag || '';
+  const { file } = result;
+  if (!result.success) {
+    const label = ['EBUDGET', 'ECIRCUIT'].includes(result.code) ? 'Not compressed' : 'Failed';
+    logError(`${t}✖ ${label}: ${file}, ${result.errorMsg}`);
+    return;
+  }
+  if (result.invalid) {
+    console.log(t + color(`⚠ Skipped (${result.invalid}):`, '1;33') + ' ' + file);
+    return;
+  }
+  // minSize / maxSize leave images alone without uploading them
+  if (result.threshold && result.threshold.rule !== 'minSavings') {
+    console.log(t + color(`↷ Skipped (${result.threshold.message}):`, '1;90') + ' ' + file);
+    return;
+  }
+  if (result.skipped && !result.threshold) {
+    console.log(t + color('↷ Skipped (already compressed):', '1;90') + ' ' + file);
+    return;
+  }
+
+  const output = result.output && result.output !== file ? ` → ${result.output}` : '';
+  const conversions = result.conversions.length > 0 ? ' → ' + describeConversions(result.conversions) : '';
+  const resized = result.resize ? ', ' + color(`resized (${describeResize(result.resize)})`, '36') : '';
+  if (result.threshold) {
+    console.log(
+      t +
+      color('↷ Kept original:', '1;90') + ' ' +
+      color(file, '1') + output + ', ' +
+      color(result.threshold.message, '90') +
+      conversions
+    );
+    return;
+  }
+  if (!result.output) {
+    console.log(
+      t +
+      color('✔ Converted:', '1;32') + ' ' +
+      color(file, '1') + ' → ' +
+      describeConversions(result.conversions) +
+      resized
+    );
+    return;
+  }
+  console.log(
+    t +
+    color('✔ Compressed:', '1;32') + ' ' +
+    color(file, '1') + output + ', ' +
+    color(`saved ${formatSize(result.oldSize - result.newSize)}`, '33') + ', ' +
+    color(`${percentSmaller(result.oldSize, result.newSize)}% smaller`, '34') +
+    resized +
+    conversions
+  );
+}
+
+/**
+ * Print a failed attempt about to be retried (a 'retry' progress event)
+ */
+function printRetry({ file, attempt, maxAttempts, errorMsg, delay, reason }) {
+  const wait = `${reason === 'rate-limit' ? 'rate limited, retrying' : 'retrying'} in ${(delay / 1000).toFixed(1)}s`;
+  warn(`⚠ Attempt ${attempt}/${maxAttempts} failed: ${file}, ${errorMsg} — ${wait}...`);
+}
+
+/**
+ * Print a switch to the next API key (a 'keySwitch' progress event)
+ */
+function printKeySwitch({ from, to, reason }) {
+  warn(`⚠ API key ${maskKey(from)} ${reason === 'invalid' ? 'was rejected' : 'reached its monthly limit'}, ` +
+    `switching to ${maskKey(to)}`);
+}
+
+/**
+ * onProgress handler printing each image once done, tagged with how many are done so far.
+ * Cancelled images are left to the summary.
+ *
+ * @param {{ done: number, total: number }} [progress] - shared between batches to count
+ *   across them; `total` may grow as images are added
+ * @returns {function(Object)}
+ */
+function createProgressPrinter(progress) {
+  return (event) => {
+    if (event.type === 'retry') {
+      printRetry(event);
+    } else if (event.type === 'keySwitch') {
+      printKeySwitch(event);
+    } else if ((event.type === 'success' || event.type === 'fail') && event.result.code !== 'EABORT') {
+      const tag = progress ? color(`[${++progress.done}/${progress.total}]`, '1;35') + ' ' : '';
+      printResult(event.result, tag);
+    }
+  };
+}
+
+/**
+ * Print compression summary. Results left alone by a size or savings threshold, files skipped as
+ * not valid images, cancelled images and images only converted are listed too.
+ *
+ * The positional form printSummary(totalOldSize, totalNewSize, fileCount, failCount, skipCount,
+ * formats, quota, kept, invalid, cancelled) is deprecated.
+ *
+ * @param {Object} summary - as returned by summarizeResults() and resolved by compressBatch()
+ * @param {{ count: number|null, limit?: number|null }} [quota] - monthly compressions of the API key,
+ *   the latest count in the summary by default
+ */
+function printSummary(summary, quota) {
+  if (typeof summary === 'number') {
+    const [totalOldSize, totalNewSize, fileCount, failCount, skipCount, formats] = arguments;
+    summary = {
+      totalOldSize, totalNewSize, fileCount, failCount, skipCount, formats,
+      kept: arguments[7], invalid: arguments[8], cancelled: arguments[9],
+    };
+    quota = arguments[6];
+  }
+  const { totalOldSize, totalNewSize, failCount, skipCount, formats, kept, invalid, cancelled, converted } = summary;
+  const fileCount = summary.results ? summary.results.length : summary.fileCount;
+  if (quota === undefined) quota = { count: summary.compressionCount };
+  const totalSaved = totalOldSize - totalNewSize;
+  const totalPercent = totalOldSize ? ((totalSaved / totalOldSize) * 100).toFixed(2) : 0;
+  info('\n=== Summary ===');
+  info(`Files: ${fileCount}` + (failCount > 0 ? color(` (${failCount} failed)`, '1;31') : ''));
+  if (cancelled && cancelled.length > 0) {
+    warn(`Cancelled: ${cancelled.length} (left as they were)`);
+  }
+  if (skipCount > 0) {
+    console.log(color(`Skipped: ${skipCount} (already compressed)`, '90'));
+  }
+  if (converted && converted.length > 0) {
+    console.log(color(`Converted only: ${converted.length} (originals left as they were, see below)`, '90'));
+  }
+  if (kept && kept.length > 0) {
+    console.log(color(`Kept originals: ${kept.length} (below thresholds)`, '90'));
+    for (const r of kept) {
+      console.log(color(`  ${r.file}: ${r.threshold.message}`, '90'));
+    }
+  }
+  if (invalid && invalid.length > 0) {
+    warn(`Not valid images: ${invalid.length} (left alone)`);
+    for (const r of invalid) {
+      console.log(color(`  ${r.file}: ${r.invalid}`, '33'));
+    }
+  }
+  console.log(color(`Before: ${formatSize(totalOldSize)}`, '33'));
+  console.log(color(`After:  ${formatSize(totalNewSize)}`, '32'));
+  console.log(color(`Saved:  ${formatSize(totalSaved)}`, '1;33'));
+  console.log(color(`Ratio:  ${totalPercent}%`, '1;34'));
+  if (formats) {
+    info('Converted:');
+    for (const format of Object.keys(formats)) {
+      const f = formats[format];
+      console.log(
+        `  ${format}: ${f.count} file(s), ${formatSize(f.oldSize)} → ${formatSize(f.newSize)}, ` +
+        color(`${percentSmaller(f.oldSize, f.newSize)}% smaller`, '34')
+      );
+    }
+  }
+  if (quota && quota.count !== null && quota.count !== undefined) {
+    console.log(color(`Compressions this month: ${quota.count}` + (quota.limit ? ` / ${quota.limit}` : ''), '90'));
+  }
+}
+
+module.exports = {
+  printResult,
+  printRetry,
+  printKeySwitch,
+  createProgressPrinter,
+  printSummary,
+};
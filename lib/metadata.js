@@ -0,0 +1,51 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Metadata the Tinify API can keep in compressed images, which are otherwise stripped
+ */
+const PRESERVE_OPTIONS = ['copyright', 'creation', 'location'];
+
+/**
+ * Validate metadata to preserve, given as an array or a comma-separated string
+ * @returns {string[]|null} null when nothing is preserved
+ */
+function normalizePreserve(value) {
+  if (!value) return null;
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  const result = [];
+  for (const item of list) {
+    const name = String(item).trim().toLowerCase();
+    if (!name) continue;
+    if (!PRESERVE_OPTIONS.includes(name)) {
+      throw new Error(`Unknown metadata to preserve: ${item} (supported: ${PRESERVE_OPTIONS.join(', ')})`);
+    }
+    if (!result.includes(name)) result.push(name);
+  }
+  return result.length > 0 ? result : null;
+}
+
+/**
+ * Modification time and permissions of a file, to give them back once it is rewritten
+ * @returns {{ atime: Date, mtime: Date, mode: number }}
+ */
+function readFileTimes(file) {
+  const stats = fs.statSync(file);
+  return { atime: stats.atime, mtime: stats.mtime, mode: stats.mode & 0o7777 };
+}
+
+/**
+ * Apply what readFileTimes() returned to a file
+ */
+function restoreFileTimes(file, times) {
+  fs.chmodSync(file, times.mode);
+  fs.utimesSync(file, times.atime, times.mtime);
+}
+
+module.exports = {
+  PRESERVE_OPTIONS,
+  normalizePreserve,
+  readFileTimes,
+  restoreFileTimes,
+};
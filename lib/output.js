@@ -0,0 +1,202 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKUP_DIR_NAME = '.tinypng-backup';
+const BACKUP_SUFFIX = '.orig';
+const BACKUP_MODES = ['dir', 'suffix'];
+
+/**
+ * Validate an output option and resolve its paths.
+ *
+ *   dir    - write results into this directory, mirroring paths relative to `root`
+ *   root   - input root the mirrored paths are relative to (default: `rootDir`)
+ *   suffix - insert before the extension for side-by-side output, e.g. '.min'
+ *   backup - when overwriting originals, keep them first: 'dir' copies into
+ *            .tinypng-backup/ under `rootDir`, 'suffix' copies to file.orig.png
+ *
+ * @param {{ dir?: string, root?: string, suffix?: string, backup?: string }} [output]
+ * @param {string} [rootDir=process.cwd()] - project root
+ * @returns {{ dir: string|null, root: string, suffix: string|null, backup: string|null, backupRoot: string }|null}
+ */
+function normalizeOutput(output, rootDir) {
+  if (!output || (!output.dir && !output.suffix && !output.backup)) return null;
+
+  const projectRoot = path.resolve(rootDir || process.cwd());
+  const suffix = output.suffix || null;
+  const backup = output.backup || null;
+
+  if (suffix !== null && (/[\\/]/.test(suffix) || suffix === '.')) {
+    throw new Error(`Invalid output suffix: ${suffix}`);
+  }
+  if (backup !== null && !BACKUP_MODES.includes(backup)) {
+    throw new Error(`Invalid backup mode: ${backup} (available: ${BACKUP_MODES.join(', ')})`);
+  }
+  if (backup !== null && (output.dir || suffix)) {
+    throw new Error('Backups only apply when overwriting originals, not with an output directory or suffix');
+  }
+
+  return {
+    dir: output.dir ? path.resolve(output.dir) : null,
+    root: path.resolve(output.root || projectRoot),
+    suffix,
+    backup,
+    backupRoot: projectRoot,
+  };
+}
+
+/**
+ * Path to write the result for `file` (the file itself when overwriting in place)
+ */
+function resolveOutputPath(file, output) {
+  if (!output) return file;
+  let target = path.resolve(file);
+
+  if (output.suffix) {
+    const ext = path.extname(target);
+    target = target.slice(0, target.length - ext.length) + output.suffix + ext;
+  }
+
+  if (output.dir) {
+    const rel = path.relative(output.root, target);
+    if (rel.startsWith('..') || path.isAbsolute(rel)) {
+      throw new Error(`${file} is outside of the input root ${output.root}`);
+    }
+    target = path.join(output.dir, rel);
+  }
+
+  return target === path.resolve(file) ? file : target;
+}
+
+function getBackupPath(file, output) {
+  if (output.backup === 'suffix') {
+    const ext = path.extname(file);
+    return file.slice(0, file.length - ext.length) + BACKUP_SUFFIX + ext;
+  }
+  const rel = path.relative(output.backupRoot, path.resolve(file));
+  if (rel.startsWith('..') || path.isAbsolute(rel)) {
+    throw new Error(`Cannot back up ${file}: outside of the project root ${output.backupRoot}`);
+  }
+  return path.join(output.backupRoot, BACKUP_DIR_NAME, rel);
+}
+
+/**
+ * Copy the original before it is overwritten. An existing backup is kept,
+ * so repeated runs never replace the true original with a compressed copy.
+ *
+ * @returns {string|null} backup path, or null if backups are disabled
+ */
+function backupOriginal(file, output) {
+  if (!output || !output.backup) return null;
+  const backup = getBackupPath(file, output);
+  if (!fs.existsSync(backup)) {
+    fs.mkdirSync(path.dirname(backup), { recursive: true });
+    fs.copyFileSync(file, backup);
+  }
+  return backup;
+}
+
+function isSuffixBackup(file) {
+  const ext = path.extname(file);
+  return path.basename(file, ext).endsWith(BACKUP_SUFFIX);
+}
+
+function isInside(file, dir) {
+  const rel = path.relative(dir, file);
+  return rel !== '' && !rel.startsWith('..') && !path.isAbsolute(rel);
+}
+
+/**
+ * Whether a collected file was written by a previous run with this output
+ * option (or is a suffix backup), and so must not be compressed again
+ */
+function isOutputFile(file, output) {
+  const resolved = path.resolve(file);
+  if (isSuffixBackup(resolved)) return true;
+  if (!output) return false;
+  if (output.dir && isInside(resolved, output.dir)) return true;
+  if (output.suffix) {
+    const ext = path.extname(resolved);
+    if (path.basename(resolved, ext).endsWith(output.suffix)) return true;
+  }
+  return false;
+}
+
+function walk(dir, files) {
+  let entries = [];
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return files;
+  }
+  for (const entry of entries) {
+    const full = path.join(dir, entry);
+    let stat;
+    try {
+      stat = fs.statSync(full);
+    } catch {
+      // Removed meanwhile, or a dangling symlink
+      continue;
+    }
+    if (stat.isDirectory()) {
+      walk(full, files);
+    } else if (stat.isFile()) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+/**
+ * List backups kept in the .tinypng-backup/ folder of a project
+ * @returns {Array<{ file: string, backup: string, backupDir: string }>}
+ */
+function listBackups(rootDir) {
+  const root = path.resolve(rootDir || process.cwd());
+  const backupDir = path.join(root, BACKUP_DIR_NAME);
+  return walk(backupDir, []).map(backup => ({
+    file: path.join(root, path.relative(backupDir, backup)),
+    backup,
+    backupDir,
+  }));
+}
+
+/**
+ * Original path of a suffix backup, e.g. logo.png for logo.orig.png
+ */
+function fromSuffixBackup(backup) {
+  const ext = path.extname(backup);
+  return backup.slice(0, backup.length - ext.length - BACKUP_SUFFIX.length) + ext;
+}
+
+/**
+ * Copy a backup over its original and delete the backup
+ * @param {{ file: string, backup: string, backupDir?: string }} entry
+ */
+function restoreBackup(entry) {
+  fs.mkdirSync(path.dirname(entry.file), { recursive: true });
+  fs.copyFileSync(entry.backup, entry.file);
+  fs.unlinkSync(entry.backup);
+  if (!entry.backupDir) return;
+
+  // Remove directories emptied inside .tinypng-backup/, including the folder itself
+  let dir = path.dirname(entry.backup);
+  while ((dir === entry.backupDir || isInside(dir, entry.backupDir)) && fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+    dir = path.dirname(dir);
+  }
+}
+
+module.exports = {
+  normalizeOutput,
+  resolveOutputPath,
+  backupOriginal,
+  isSuffixBackup,
+  isOutputFile,
+  listBackups,
+  fromSuffixBackup,
+  restoreBackup,
+  BACKUP_DIR_NAME,
+  BACKUP_MODES,
+};
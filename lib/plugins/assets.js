@@ -0,0 +1,129 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { hashBuffer } = require('../cache');
+const { getConfig, getCompressOptions } = require('../config');
+const { isImageFile } = require('../files');
+const { createCompressQueue, summarizeResults } = require('../compress');
+const { createProgressPrinter, printSummary } = require('../log');
+const { createBudget } = require('../quota');
+const { getBackend } = require('../backends');
+const { normalizeResizeOption, resolveResize } = require('../resize');
+const { normalizePreserve } = require('../metadata');
+const { normalizeThresholds } = require('../thresholds');
+
+const ASSET_CACHE_DIR = path.join('node_modules', '.cache', 'my-tinypng');
+
+/**
+ * @typedef {Object} PluginOptions
+ * @property {boolean} [enabled] - compress assets of production builds only by default
+ * @property {RegExp|function(string): boolean} [test] - assets to compress (default: PNG, JPEG, WebP and AVIF)
+ * @property {string|false} [cacheDir='node_modules/.cache/my-tinypng'] - where compressed assets are kept
+ *   between builds, relative to the project root; false uploads every asset on every build
+ * @property {boolean} [summary=true] - print the before/after summary once the assets are compressed
+ * @property {Object} [config] - values taking precedence over the project config, e.g. { apiKey, backend, retries }
+ */
+
+function isAssetIncluded(name, test) {
+  const file = name.replace(/[?#].*$/, '');
+  if (typeof test === 'function') return !!test(file);
+  if (test instanceof RegExp) return test.test(file);
+  return isImageFile(file);
+}
+
+function readCachedAsset(file) {
+  try {
+    return fs.readFileSync(file);
+  } catch {
+    return null;
+  }
+}
+
+function writeCachedAsset(file, data) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, data);
+  } catch {}
+}
+
+/**
+ * Name the compressed content of an asset is kept under: its content hash, and a hash
+ * of what compressing it involves (backend, resize, thresholds and metadata to preserve),
+ * so that changing any of them compresses it again
+ */
+function getCacheName(name, source, options) {
+  const task = JSON.stringify({
+    backend: getBackend(options.backend).name || 'custom',
+    resize: resolveResize(normalizeResizeOption(options.resize), name),
+    thresholds: normalizeThresholds(options),
+    preserve: normalizePreserve(options.preserve),
+  });
+  return `${hashBuffer(source)}-${hashBuffer(Buffer.from(task)).slice(0, 16)}${path.extname(name)}`;
+}
+
+/**
+ * Compress the image assets of a build in memory through a compress queue, with the options,
+ * budget and API keys of the project config. Resize patterns match asset names. Compressed
+ * assets are kept in `cacheDir`, so unchanged ones are not uploaded again.
+ * Assets failing to compress keep their original content.
+ *
+ * @param {{ name: string, source: Buffer }[]} assets
+ * @param {string} root - project directory the config is read from
+ * @param {PluginOptions} [options]
+ * @returns {Promise<{ outputs: Map<string, Buffer>, summary: Object }>} `outputs` holds the compressed
+ *   content by asset name, `summary` is as resolved by compressBatch
+ */
+async function compressAssets(assets, root, options) {
+  options = options || {};
+  const config = getConfig(root, options.config);
+  const cacheDir = options.cacheDir === false ? null : path.resolve(root, options.cacheDir || ASSET_CACHE_DIR);
+  const sources = new Map(assets.map(asset => [asset.name, asset.source]));
+  const outputs = new Map();
+  const progress = { done: 0, total: 0 };
+
+  const compressOptions = {
+    ...getCompressOptions(config),
+    // Assets are replaced in the build output: no converted siblings, backups or file times
+    convert: undefined,
+    compressOriginal: undefined,
+    keepMtime: undefined,
+    apiKey: getBackend(config.backend).requiresApiKey ? config.apiKeys : undefined,
+    budget: config.monthlyLimit ? createBudget({ monthlyLimit: config.monthlyLimit }) : null,
+    source: name => ({ content: sources.get(name), write: data => outputs.set(name, data) }),
+    onProgress: createProgressPrinter(progress),
+  };
+  const queue = createCompressQueue(compressOptions);
+
+  async function compressAsset({ name, source }) {
+    const cacheFile = cacheDir && path.join(cacheDir, getCacheName(name, source, compressOptions));
+    const cached = cacheFile && readCachedAsset(cacheFile);
+    if (cached) {
+      outputs.set(name, cached);
+      return {
+        file: name, oldSize: source.length, newSize: cached.length, success: true, skipped: true, errorMsg: null,
+        conversions: [], attempts: 0,
+      };
+    }
+
+    progress.total++;
+    const result = await queue.add(name);
+    // Uploaded: compressed, or the original kept when compressing did not save enough
+    if (cacheFile && result.success && result.attempts > 0) {
+      writeCachedAsset(cacheFile, outputs.get(name) || source);
+    }
+    return result;
+  }
+
+  const summary = summarizeResults(await Promise.all(assets.map(compressAsset)));
+  if (options.summary !== false) {
+    printSummary(summary, { count: summary.compressionCount, limit: config.monthlyLimit });
+  }
+  return { outputs, summary };
+}
+
+module.exports = {
+  compressAssets,
+  isAssetIncluded,
+  ASSET_CACHE_DIR,
+};
@@ -0,0 +1,55 @@
+'use strict';
+
+const { compressAssets, isAssetIncluded } = require('./assets');
+
+/**
+ * Vite (and Rollup) plugin compressing emitted PNG, JPEG, WebP and AVIF assets of production builds:
+ *
+ *   import tinypng from 'my-tinypng/vite';
+ *   export default { plugins: [tinypng()] };
+ *
+ * Files copied from `public/` are not part of the bundle and are left as they are.
+ *
+ * @param {import('./assets').PluginOptions} [options]
+ * @returns {Object}
+ */
+function tinypngVitePlugin(options) {
+  options = options || {};
+  let root = process.cwd();
+  let enabled = options.enabled !== undefined ? options.enabled : true;
+
+  return {
+    name: 'my-tinypng',
+    apply: 'build',
+    enforce: 'post',
+
+    configResolved(config) {
+      root = config.root;
+      if (options.enabled === undefined) enabled = config.isProduction;
+    },
+
+    async generateBundle(outputOptions, bundle) {
+      if (!enabled) return;
+      const chunks = Object.keys(bundle)
+        .map(name => bundle[name])
+        .filter(chunk => chunk.type === 'asset' && isAssetIncluded(chunk.fileName, options.test));
+      if (chunks.length === 0) return;
+
+      let outputs;
+      try {
+        outputs = (await compressAssets(
+          chunks.map(chunk => ({ name: chunk.fileName, source: Buffer.from(chunk.source) })),
+          root,
+          options
+        )).outputs;
+      } catch (e) {
+        this.error(e.message);
+      }
+      for (const chunk of chunks) {
+        if (outputs.has(chunk.fileName)) chunk.source = outputs.get(chunk.fileName);
+      }
+    },
+  };
+}
+
+module.exports = tinypngVitePlugin;
@@ -0,0 +1,74 @@
+'use strict';
+
+const { compressAssets, isAssetIncluded } = require('./assets');
+
+const PLUGIN_NAME = 'my-tinypng';
+
+function toBuffer(source) {
+  return Buffer.isBuffer(source) ? source : Buffer.from(source);
+}
+
+/**
+ * Compress the matching assets of a compilation and hand the results to `update`
+ */
+async function compressCompilation(compilation, root, options, update) {
+  const assets = Object.keys(compilation.assets)
+    .filter(name => isAssetIncluded(name, options.test))
+    .map(name => ({ name, source: toBuffer(compilation.assets[name].source()) }));
+  if (assets.length === 0) return;
+
+  try {
+    const { outputs } = await compressAssets(assets, root, options);
+    for (const [name, data] of outputs) {
+      update(name, data);
+    }
+  } catch (e) {
+    // e.g. no API Key configured
+    compilation.errors.push(e);
+  }
+}
+
+/**
+ * Webpack plugin compressing emitted PNG, JPEG, WebP and AVIF assets of production builds:
+ *
+ *   const tinypng = require('my-tinypng/webpack');
+ *   module.exports = { plugins: [tinypng()] };
+ *
+ * @param {import('./assets').PluginOptions} [options]
+ * @returns {{ apply: function(Object) }}
+ */
+function tinypngWebpackPlugin(options) {
+  options = options || {};
+  return {
+    apply(compiler) {
+      const enabled = options.enabled !== undefined
+        ? options.enabled
+        : (compiler.options.mode || 'production') === 'production';
+      if (!enabled) return;
+      const root = compiler.context;
+      const webpack = compiler.webpack;
+
+      if (webpack && webpack.Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE !== undefined) {
+        const { Compilation, sources } = webpack;
+        compiler.hooks.thisCompilation.tap(PLUGIN_NAME, (compilation) => {
+          compilation.hooks.processAssets.tapPromise(
+            { name: PLUGIN_NAME, stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE },
+            () => compressCompilation(compilation, root, options, (name, data) => {
+              compilation.updateAsset(name, new sources.RawSource(data), { minimized: true });
+            })
+          );
+        });
+        return;
+      }
+
+      // webpack 4
+      compiler.hooks.emit.tapPromise(PLUGIN_NAME, (compilation) =>
+        compressCompilation(compilation, root, options, (name, data) => {
+          compilation.assets[name] = { source: () => data, size: () => data.length };
+        })
+      );
+    },
+  };
+}
+
+module.exports = tinypngWebpackPlugin;
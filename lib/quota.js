@@ -0,0 +1,128 @@
+'use strict';
+
+/**
+ * Compression budget shared by the images of a run.
+ *
+ *   monthlyLimit    - compressions allowed per month for each API key (TinyPNG free plan: 500)
+ *   maxCompressions - compressions allowed in this run
+ *
+ * Monthly counts are tracked per API key, as reported by the API.
+ *
+ * @param {{ monthlyLimit?: number, maxCompressions?: number }} [options]
+ * @returns {{ monthlyLimit: number|null, maxCompressions: number|null, used: number, keys: Object }}
+ */
+function createBudget(options) {
+  options = options || {};
+  return {
+    monthlyLimit: options.monthlyLimit || null,
+    maxCompressions: options.maxCompressions || null,
+    used: 0,
+    keys: {},
+  };
+}
+
+function keyState(budget, key) {
+  const id = key || '';
+  if (!budget.keys[id]) {
+    budget.keys[id] = { count: null, reserved: 0, exhausted: false, loading: null };
+  }
+  return budget.keys[id];
+}
+
+/**
+ * Monthly count of a key, null until known
+ */
+function getBudgetCount(budget, key) {
+  return keyState(budget, key).count;
+}
+
+/**
+ * Record the monthly count reported by the API for a key
+ */
+function setBudgetCount(budget, key, compressionCount) {
+  const state = keyState(budget, key);
+  if (typeof compressionCount === 'number' && (state.count === null || compressionCount > state.count)) {
+    state.count = compressionCount;
+  }
+}
+
+/**
+ * Fetch the monthly count of a key once, e.g. when switching to it mid-run
+ * @param {function(string): Promise<number>} fetchCount
+ */
+function loadBudgetCount(budget, key, fetchCount) {
+  const state = keyState(budget, key);
+  if (!state.loading) {
+    state.loading = fetchCount(key)
+      .then(count => setBudgetCount(budget, key, count))
+      .catch(() => {});
+  }
+  return state.loading;
+}
+
+/**
+ * Remember that the API reported the monthly limit of a key as reached
+ */
+function markExhausted(budget, key) {
+  keyState(budget, key).exhausted = true;
+}
+
+/**
+ * Why the budget cannot cover `cost` more compressions with a key, or null if it can.
+ * `code` tells a limit of the API key ('exhausted', 'monthly') from the run limit ('run').
+ *
+ * @returns {{ code: string, message: string }|null}
+ */
+function checkBudget(budget, cost, key) {
+  const state = keyState(budget, key);
+  if (state.exhausted) {
+    return { code: 'exhausted', message: 'the API reported the monthly compression limit as reached' };
+  }
+  if (budget.maxCompressions !== null && budget.used + cost > budget.maxCompressions) {
+    return { code: 'run', message: `--max-compressions ${budget.maxCompressions} reached` };
+  }
+  if (budget.monthlyLimit !== null && state.count !== null &&
+      state.count + state.reserved + cost > budget.monthlyLimit) {
+    return {
+      code: 'monthly',
+      message: `monthly limit of ${budget.monthlyLimit} compressions would be exceeded (${state.count} used)`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Claim `cost` compressions with a key for an image about to be uploaded
+ * @returns {{ code: string, message: string }|null} why the image must not be compressed, or null when claimed
+ */
+function reserveBudget(budget, cost, key) {
+  const reason = checkBudget(budget, cost, key);
+  if (reason) return reason;
+  budget.used += cost;
+  keyState(budget, key).reserved += cost;
+  return null;
+}
+
+/**
+ * Settle a reservation once an attempt is done, with the count reported by the API.
+ * A failed attempt (retried, or switching keys) gives its compressions back to the run,
+ * unless the count shows the API used them.
+ */
+function releaseBudget(budget, cost, key, compressionCount, success) {
+  const state = keyState(budget, key);
+  const counted = typeof compressionCount === 'number' && state.count !== null && compressionCount > state.count;
+  state.reserved -= cost;
+  if (!success && !counted) budget.used -= cost;
+  setBudgetCount(budget, key, compressionCount);
+}
+
+module.exports = {
+  createBudget,
+  getBudgetCount,
+  setBudgetCount,
+  loadBudgetCount,
+  markExhausted,
+  checkBudget,
+  reserveBudget,
+  releaseBudget,
+};
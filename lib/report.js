@@ -0,0 +1,233 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { formatSize } = require('./utils');
+
+const REPORTERS = ['json', 'junit', 'markdown'];
+
+function ratio(oldSize, newSize) {
+  return oldSize ? Math.round(((oldSize - newSize) / oldSize) * 10000) / 100 : 0;
+}
+
+function toReportPath(file, cwd) {
+  const rel = path.relative(cwd, path.resolve(cwd, file));
+  return (rel.startsWith('..') || path.isAbsolute(rel) ? path.resolve(file) : rel).split(path.sep).join('/');
+}
+
+function getStatus(result) {
+  if (result.code === 'EABORT') return 'cancelled';
+  if (!result.success) return 'failed';
+  if (result.skipped && result.threshold) return 'kept';
+  if (result.skipped && result.invalid) return 'invalid';
+  if (result.skipped) return 'skipped';
+  return result.output ? 'compressed' : 'converted';
+}
+
+/**
+ * Plain report data for a batch summary, shared by all reporters
+ *
+ * @param {{ totalOldSize: number, totalNewSize: number, failCount: number, skipCount: number, results: Array }} summary
+ * @param {{ command?: string, cwd?: string }} [meta] - paths are made relative to `cwd` (default: process.cwd())
+ */
+function buildReport(summary, meta) {
+  meta = meta || {};
+  const cwd = meta.cwd || process.cwd();
+  const files = summary.results.map((r) => ({
+    file: toReportPath(r.file, cwd),
+    output: r.output ? toReportPath(r.output, cwd) : null,
+    status: getStatus(r),
+    oldSize: r.oldSize,
+    newSize: r.newSize,
+    saved: r.oldSize - r.newSize,
+    ratio: ratio(r.oldSize, r.newSize),
+    attempts: r.attempts || 0,
+    error: r.errorMsg || null,
+    threshold: r.threshold ? r.threshold.message : null,
+    invalid: r.invalid || null,
+    conversions: (r.conversions || []).map((c) => ({
+      format: c.format,
+      file: toReportPath(c.file, cwd),
+      oldSize: c.oldSize,
+      newSize: c.newSize,
+      saved: c.oldSize - c.newSize,
+      ratio: ratio(c.oldSize, c.newSize),
+    })),
+  }));
+
+  return {
+    command: meta.command || null,
+    time: new Date().toISOString(),
+    totals: {
+      files: files.length,
+      compressed: files.filter(f => f.status === 'compressed').length,
+      converted: files.filter(f => f.status === 'converted').length,
+      skipped: summary.skipCount,
+      kept: files.filter(f => f.status === 'kept').length,
+      invalid: files.filter(f => f.status === 'invalid').length,
+      cancelled: files.filter(f => f.status === 'cancelled').length,
+      failed: summary.failCount,
+      oldSize: summary.totalOldSize,
+      newSize: summary.totalNewSize,
+      saved: summary.totalOldSize - summary.totalNewSize,
+      ratio: ratio(summary.totalOldSize, summary.totalNewSize),
+      compressionCount: typeof summary.compressionCount === 'number' ? summary.compressionCount : null,
+    },
+    files,
+  };
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * One test case per image: failed compressions are failures, cached images,
+ * images kept by a threshold, files that are not valid images and cancelled
+ * images are skipped
+ */
+function formatJunit(report) {
+  const { totals } = report;
+  const name = `tinypng ${report.command || ''}`.trim();
+  const skipped = totals.skipped + totals.kept + totals.invalid + totals.cancelled;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${totals.files}" failures="${totals.failed}" skipped="${skipped}">`,
+    `  <testsuite name="${escapeXml(name)}" tests="${totals.files}" failures="${totals.failed}" ` +
+      `skipped="${skipped}" timestamp="${report.time}">`,
+  ];
+
+  for (const f of report.files) {
+    const details = `${f.oldSize} → ${f.newSize} bytes, ${f.ratio}% smaller, ${f.attempts} attempt(s)` +
+      f.conversions.map(c => `\n${c.format}: ${c.file}, ${c.newSize} bytes, ${c.ratio}% smaller`).join('');
+    lines.push(`    <testcase classname="tinypng" name="${escapeXml(f.file)}">`);
+    if (f.status === 'failed') {
+      lines.push(`      <failure message="${escapeXml(f.error)}">${escapeXml(f.error)}</failure>`);
+    } else if (f.status === 'skipped') {
+      lines.push('      <skipped message="already compressed"/>');
+    } else if (f.status === 'kept') {
+      lines.push(`      <skipped message="${escapeXml(f.threshold)}"/>`);
+    } else if (f.status === 'invalid') {
+      lines.push(`      <skipped message="${escapeXml(f.invalid)}"/>`);
+    } else if (f.status === 'cancelled') {
+      lines.push('      <skipped message="cancelled"/>');
+    }
+    lines.push(`      <system-out>${escapeXml(details)}</system-out>`);
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+function escapeCell(str) {
+  return String(str).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Savings table for a pull request comment
+ */
+function formatMarkdown(report) {
+  const { totals } = report;
+  const lines = [
+    `### Image compression: saved ${formatSize(totals.saved)} (${totals.ratio}%)`,
+    '',
+    `${totals.compressed} compressed, ` + (totals.converted > 0 ? `${totals.converted} converted only, ` : '') +
+      `${totals.skipped} skipped (already compressed), ` +
+      (totals.kept > 0 ? `${totals.kept} kept (below thresholds), ` : '') +
+      (totals.invalid > 0 ? `${totals.invalid} not valid images, ` : '') +
+      (totals.cancelled > 0 ? `${totals.cancelled} cancelled, ` : '') + `${totals.failed} failed`,
+  ];
+
+  const rows = [];
+  for (const f of report.files) {
+    if (f.status === 'compressed') {
+      const name = f.output !== f.file ? `\`${f.file}\` → \`${f.output}\`` : `\`${f.file}\``;
+      rows.push([name, formatSize(f.oldSize), formatSize(f.newSize), formatSize(f.saved), `${f.ratio}%`]);
+    }
+    for (const c of f.conversions) {
+      rows.push([`\`${f.file}\` → \`${c.file}\``, formatSize(c.oldSize), formatSize(c.newSize),
+        formatSize(c.saved), `${c.ratio}%`]);
+    }
+  }
+
+  if (rows.length > 0) {
+    lines.push('', '| File | Before | After | Saved | Ratio |', '| --- | ---: | ---: | ---: | ---: |');
+    for (const row of rows) {
+      lines.push(`| ${row.map(escapeCell).join(' | ')} |`);
+    }
+    lines.push(`| **Total** | **${formatSize(totals.oldSize)}** | **${formatSize(totals.newSize)}** | ` +
+      `**${formatSize(totals.saved)}** | **${totals.ratio}%** |`);
+  }
+
+  const kept = report.files.filter(f => f.status === 'kept');
+  if (kept.length > 0) {
+    lines.push('', '**Kept originals:**', '');
+    for (const f of kept) {
+      lines.push(`- \`${f.file}\`: ${escapeCell(f.threshold)}`);
+    }
+  }
+
+  const invalid = report.files.filter(f => f.status === 'invalid');
+  if (invalid.length > 0) {
+    lines.push('', '**Not valid images:**', '');
+    for (const f of invalid) {
+      lines.push(`- \`${f.file}\`: ${escapeCell(f.invalid)}`);
+    }
+  }
+
+  const failed = report.files.filter(f => f.status === 'failed');
+  if (failed.length > 0) {
+    lines.push('', '**Failed:**', '');
+    for (const f of failed) {
+      lines.push(`- \`${f.file}\`: ${escapeCell(f.error)}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+const FORMATTERS = {
+  json: formatJson,
+  junit: formatJunit,
+  markdown: formatMarkdown,
+};
+
+/**
+ * Render a batch summary with the given reporter
+ * @param {string} reporter - json, junit or markdown
+ * @param {Object} summary - as resolved by compressBatch
+ * @param {{ command?: string, cwd?: string }} [meta]
+ * @returns {string}
+ */
+function formatReport(reporter, summary, meta) {
+  const formatter = FORMATTERS[reporter];
+  if (!formatter) {
+    throw new Error(`Unknown reporter: ${reporter} (available: ${REPORTERS.join(', ')})`);
+  }
+  return formatter(buildReport(summary, meta));
+}
+
+/**
+ * Render a report and write it to a file, creating parent directories
+ */
+function writeReport(reporter, summary, file, meta) {
+  const content = formatReport(reporter, summary, meta);
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, content, 'utf8');
+}
+
+module.exports = {
+  buildReport,
+  formatReport,
+  writeReport,
+  REPORTERS,
+};
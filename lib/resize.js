@@ -0,0 +1,103 @@
+'use strict';
+
+const { matchGlob } = require('./glob');
+
+const RESIZE_METHODS = ['scale', 'fit', 'cover', 'thumb'];
+
+function isResizeSpec(value) {
+  return !!value && typeof value === 'object' &&
+    ('method' in value || 'width' in value || 'height' in value);
+}
+
+/**
+ * Validate a resize spec and return it normalized to { method, width?, height? }.
+ * The method defaults to `scale` when one dimension is given and `fit` when both are.
+ * Throws on invalid input.
+ *
+ * @param {{ method?: string, width?: number, height?: number }} spec
+ * @param {string} [label] - used in error messages
+ */
+function normalizeResize(spec, label) {
+  const where = label ? ` for "${label}"` : '';
+  const width = spec.width !== undefined ? Number(spec.width) : undefined;
+  const height = spec.height !== undefined ? Number(spec.height) : undefined;
+
+  for (const [name, value] of [['width', width], ['height', height]]) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) {
+      throw new Error(`Invalid resize ${name}${where}: ${spec[name]} (expected a positive integer)`);
+    }
+  }
+  if (width === undefined && height === undefined) {
+    throw new Error(`Resize${where} needs a width and/or height`);
+  }
+
+  const method = spec.method || (width !== undefined && height !== undefined ? 'fit' : 'scale');
+  if (!RESIZE_METHODS.includes(method)) {
+    throw new Error(`Invalid resize method${where}: ${method} (available: ${RESIZE_METHODS.join(', ')})`);
+  }
+  if (method === 'scale' && width !== undefined && height !== undefined) {
+    throw new Error(`Resize method "scale"${where} takes either a width or a height, not both`);
+  }
+  if (method !== 'scale' && (width === undefined || height === undefined)) {
+    throw new Error(`Resize method "${method}"${where} needs both a width and a height`);
+  }
+
+  const normalized = { method };
+  if (width !== undefined) normalized.width = width;
+  if (height !== undefined) normalized.height = height;
+  return normalized;
+}
+
+/**
+ * Validate a resize option: either a single spec applied to every file,
+ * or a map of glob pattern -> spec. Returns the normalized option.
+ *
+ * @param {Object} resize
+ * @returns {Object|null}
+ */
+function normalizeResizeOption(resize) {
+  if (!resize) return null;
+  if (typeof resize !== 'object') {
+    throw new Error('Resize must be a { method, width, height } object or a map of glob patterns to such objects');
+  }
+  if (isResizeSpec(resize)) return normalizeResize(resize);
+
+  const rules = {};
+  for (const pattern of Object.keys(resize)) {
+    if (!isResizeSpec(resize[pattern])) {
+      throw new Error(`Invalid resize rule for "${pattern}": expected a { method, width, height } object`);
+    }
+    rules[pattern] = normalizeResize(resize[pattern], pattern);
+  }
+  return rules;
+}
+
+/**
+ * Pick the resize spec that applies to a file. With a rule map, the first
+ * pattern matching the path relative to `rootDir` wins.
+ *
+ * @param {Object} resize - output of normalizeResizeOption()
+ * @param {string} file
+ * @param {string} [rootDir=process.cwd()]
+ * @returns {{ method: string, width?: number, height?: number }|null}
+ */
+function resolveResize(resize, file, rootDir) {
+  if (!resize) return null;
+  if (isResizeSpec(resize)) return resize;
+  for (const pattern of Object.keys(resize)) {
+    if (matchGlob(pattern, file, rootDir)) return resize[pattern];
+  }
+  return null;
+}
+
+function describeResize(spec) {
+  return `${spec.method} ${spec.width || ''}x${spec.height || ''}`;
+}
+
+module.exports = {
+  RESIZE_METHODS,
+  normalizeResize,
+  normalizeResizeOption,
+  resolveResize,
+  describeResize,
+};
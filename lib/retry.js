@@ -0,0 +1,131 @@
+'use strict';
+
+/**
+ * Retry policy of the API requests:
+ *
+ *   retryDelay     - delay before the first retry in ms, doubled on each further one
+ *   retryMaxDelay  - longest delay between attempts in ms; a longer Retry-After hint fails the image
+ *   timeout        - abort a request when no data arrives for this long (ms)
+ *   connectTimeout - abort a request when connecting takes longer (ms)
+ *   circuitBreaker - stop the run after this many consecutive server or network failures, 0 never stops
+ */
+const RETRY_DEFAULTS = {
+  retryDelay: 1000,
+  retryMaxDelay: 30000,
+  timeout: 60000,
+  connectTimeout: 15000,
+  circuitBreaker: 10,
+};
+
+/**
+ * Validate retry options, throws on invalid input
+ * @param {Object} [options]
+ * @returns {{ retryDelay: number, retryMaxDelay: number, timeout: number, connectTimeout: number,
+ *   circuitBreaker: number }}
+ */
+function normalizeRetryOptions(options) {
+  options = options || {};
+  const policy = {};
+  for (const name of Object.keys(RETRY_DEFAULTS)) {
+    const value = options[name] !== undefined && options[name] !== null ? Number(options[name]) : RETRY_DEFAULTS[name];
+    if (isNaN(value) || value < 0) {
+      throw new Error(`Invalid ${name}: ${options[name]} (expected a number >= 0)`);
+    }
+    policy[name] = value;
+  }
+  return policy;
+}
+
+/**
+ * Parse a Retry-After header, given in seconds or as an HTTP date
+ * @returns {number|undefined} delay in ms
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(parseFloat(value) * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * What went wrong with a failed backend call:
+ *
+ *   'rate-limit' - 429 with a Retry-After hint, retried once the hint expires
+ *   'limit'      - 429 without one: the monthly limit of the key is reached
+ *   'server'     - 5xx, retried with backoff (honoring Retry-After)
+ *   'network'    - no response (connection error or timeout), retried with backoff
+ *   'client'     - anything else, not retried
+ */
+function classifyFailure(output) {
+  if (output.statusCode === 429) return output.retryAfter !== undefined ? 'rate-limit' : 'limit';
+  if (output.statusCode >= 500) return 'server';
+  if (output.statusCode === undefined && output.retryable) return 'network';
+  return 'client';
+}
+
+/**
+ * Delay before retrying after the given attempt: exponential backoff with
+ * jitter (between half and all of the backoff), or the server's Retry-After hint
+ *
+ * @param {number} attempt - 1 for the first attempt
+ * @param {Object} policy - from normalizeRetryOptions()
+ * @param {number} [retryAfter] - hint of the server in ms
+ * @returns {number|null} ms, null when the hint is longer than retryMaxDelay
+ */
+function getRetryDelay(attempt, policy, retryAfter) {
+  if (retryAfter !== undefined) {
+    return retryAfter <= policy.retryMaxDelay ? retryAfter : null;
+  }
+  const backoff = Math.min(policy.retryDelay * Math.pow(2, attempt - 1), policy.retryMaxDelay);
+  return Math.round(backoff / 2 + Math.random() * backoff / 2);
+}
+
+/**
+ * Circuit breaker shared by the images of a run: after `threshold` consecutive
+ * server or network failures it opens, and further uploads fail right away
+ * instead of hammering an endpoint that is down. Any other response closes the count.
+ * For long-running sessions, `cooldown` lets uploads through again some time
+ * after the last failure; the next one failing stops them again.
+ *
+ * @param {number} [threshold=10] - 0 never opens
+ * @param {{ cooldown?: number }} [options] - ms, stopped for good when not set
+ * @returns {{ record: function(string|null, string=), check: function(): string|null }}
+ *   `record(kind, errorMsg)` takes the classifyFailure() kind of a call (null for success),
+ *   `check()` returns why uploads are stopped, or null
+ */
+function createCircuitBreaker(threshold, options) {
+  if (threshold === undefined || threshold === null) threshold = RETRY_DEFAULTS.circuitBreaker;
+  const cooldown = options && options.cooldown;
+  let failures = 0;
+  let lastError = null;
+  let lastFailure = 0;
+
+  function isOpen() {
+    return threshold > 0 && failures >= threshold && !(cooldown && Date.now() - lastFailure >= cooldown);
+  }
+
+  return {
+    record(kind, errorMsg) {
+      if (kind === 'server' || kind === 'network') {
+        failures++;
+        lastError = errorMsg;
+        lastFailure = Date.now();
+      } else if (!isOpen()) {
+        failures = 0;
+      }
+    },
+    check() {
+      if (!isOpen()) return null;
+      return `Stopped after ${failures} consecutive failed requests (last: ${lastError})`;
+    },
+  };
+}
+
+module.exports = {
+  RETRY_DEFAULTS,
+  normalizeRetryOptions,
+  parseRetryAfter,
+  classifyFailure,
+  getRetryDelay,
+  createCircuitBreaker,
+};
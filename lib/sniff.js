@@ -0,0 +1,95 @@
+'use strict';
+
+const fs = require('fs');
+const { getFormat } = require('./convert');
+
+const FORMAT_NAMES = {
+  png: 'PNG',
+  jpg: 'JPEG',
+  webp: 'WebP',
+  avif: 'AVIF',
+};
+
+// Enough for the AVIF file type box, and to find the end marker of a JPEG
+const HEAD_SIZE = 64;
+const TAIL_SIZE = 1024;
+
+/**
+ * Format of an image judging by its first bytes: 'png', 'jpg', 'webp' or 'avif', null when unknown
+ * @param {Buffer} head
+ */
+function detectFormat(head) {
+  if (head.length >= 8 && head.toString('latin1', 0, 8) === '\x89PNG\r\n\x1a\n') return 'png';
+  if (head.length >= 3 && head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpg';
+  if (head.length >= 12 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+    return 'webp';
+  }
+  if (head.length >= 16 && head.toString('latin1', 4, 8) === 'ftyp') {
+    // File type box: major brand, minor version, then compatible brands
+    const end = Math.min(head.readUInt32BE(0), head.length);
+    for (let i = 8; i + 4 <= end; i += 4) {
+      if (i !== 12 && /^avi[fs]$/.test(head.toString('latin1', i, i + 4))) return 'avif';
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether an image ends where its format says, i.e. was not cut short
+ * @param {Buffer} tail - last bytes of the image
+ */
+function isComplete(format, head, tail, size) {
+  if (format === 'png') return tail.toString('latin1', tail.length - 8, tail.length - 4) === 'IEND';
+  // Some encoders pad JPEGs after the end marker
+  if (format === 'jpg') return tail.includes(Buffer.from([0xff, 0xd9]));
+  if (format === 'webp') return head.readUInt32LE(4) + 8 <= size;
+  return true;
+}
+
+function readEnds(input) {
+  if (Buffer.isBuffer(input)) {
+    return { head: input.slice(0, HEAD_SIZE), tail: input.slice(-TAIL_SIZE), size: input.length };
+  }
+  const fd = fs.openSync(input.file, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const head = Buffer.alloc(Math.min(HEAD_SIZE, size));
+    const tail = Buffer.alloc(Math.min(TAIL_SIZE, size));
+    fs.readSync(fd, head, 0, head.length, 0);
+    fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+    return { head, tail, size };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Tell whether an image holds what its extension says, from its first and last
+ * bytes, so that files the API would reject are not uploaded
+ *
+ * @param {string} file - name of the image, for its extension
+ * @param {Buffer|FileInput} input - its content, in memory or on disk
+ * @returns {string|null} what is wrong with it, e.g. 'JPEG content in a .png file', or null
+ */
+function checkImageContent(file, input) {
+  const { head, tail, size } = readEnds(input);
+  const expected = getFormat(file);
+  if (size === 0) return 'empty file';
+  const format = detectFormat(head);
+  if (!format) {
+    // Git LFS checkouts without the LFS extension leave small text pointers
+    if (head.toString('latin1').startsWith('version https://git-lfs')) return 'Git LFS pointer, not the image';
+    return `not a valid ${FORMAT_NAMES[expected] || 'image'} file`;
+  }
+  if (FORMAT_NAMES[expected] && format !== expected) {
+    return `${FORMAT_NAMES[format]} content in a ${file.slice(file.lastIndexOf('.'))} file`;
+  }
+  if (!isComplete(format, head, tail, size)) return `truncated ${FORMAT_NAMES[format]} file`;
+  return null;
+}
+
+module.exports = {
+  FORMAT_NAMES,
+  detectFormat,
+  checkImageContent,
+};
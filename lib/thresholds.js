@@ -0,0 +1,102 @@
+'use strict';
+
+const { formatSize } = require('./utils');
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+
+/**
+ * Parse a size given in bytes, or as a string like "300", "10KB" or "1.5 MB"
+ * @param {number|string} value
+ * @param {string} [label] - used in error messages
+ * @returns {number|null} bytes, null when not set
+ */
+function parseSize(value, label) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid ${label || 'size'}: ${value} (expected bytes, or a size like 10KB or 1.5MB)`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Parse a savings threshold: bytes / size string, or a percentage like "5%"
+ * @returns {{ bytes?: number, percent?: number }|null}
+ */
+function parseSavings(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const percent = /^\s*(\d+(?:\.\d+)?)\s*%\s*$/.exec(String(value));
+  if (percent) {
+    return { percent: parseFloat(percent[1]) };
+  }
+  return { bytes: parseSize(value, 'minSavings') };
+}
+
+/**
+ * Validate minSize / maxSize / minSavings options, throws on invalid input
+ * @param {{ minSize?: number|string, maxSize?: number|string, minSavings?: number|string }} options
+ * @returns {{ minSize: number|null, maxSize: number|null, minSavings: Object|null }}
+ */
+function normalizeThresholds(options) {
+  options = options || {};
+  const thresholds = {
+    minSize: parseSize(options.minSize, 'minSize'),
+    maxSize: parseSize(options.maxSize, 'maxSize'),
+    minSavings: typeof options.minSavings === 'object' ? options.minSavings : parseSavings(options.minSavings),
+  };
+  if (thresholds.minSize !== null && thresholds.maxSize !== null && thresholds.minSize > thresholds.maxSize) {
+    throw new Error(`minSize (${formatSize(thresholds.minSize)}) is larger than maxSize (${formatSize(thresholds.maxSize)})`);
+  }
+  return thresholds;
+}
+
+/**
+ * Why an image of `size` bytes should not be uploaded, or null
+ * @returns {{ rule: string, message: string }|null}
+ */
+function checkSize(size, thresholds) {
+  if (thresholds.minSize !== null && size < thresholds.minSize) {
+    return { rule: 'minSize', message: `${formatSize(size)} is below minSize ${formatSize(thresholds.minSize)}` };
+  }
+  if (thresholds.maxSize !== null && size > thresholds.maxSize) {
+    return { rule: 'maxSize', message: `${formatSize(size)} is above maxSize ${formatSize(thresholds.maxSize)}` };
+  }
+  return null;
+}
+
+function describeSavings(minSavings) {
+  return minSavings.percent !== undefined ? `${minSavings.percent}%` : formatSize(minSavings.bytes);
+}
+
+/**
+ * Why a compressed result is not worth keeping, or null. A result that is
+ * not smaller than the original never is.
+ *
+ * @param {number} oldSize
+ * @param {number} newSize
+ * @param {{ bytes?: number, percent?: number }|null} minSavings
+ * @returns {{ rule: string, message: string }|null}
+ */
+function checkSavings(oldSize, newSize, minSavings) {
+  const saved = oldSize - newSize;
+  if (saved <= 0) {
+    return { rule: 'minSavings', message: `result is not smaller (${formatSize(newSize)})` };
+  }
+  if (!minSavings) return null;
+  const enough = minSavings.percent !== undefined
+    ? (saved / oldSize) * 100 >= minSavings.percent
+    : saved >= minSavings.bytes;
+  if (enough) return null;
+  return {
+    rule: 'minSavings',
+    message: `saves ${formatSize(saved)} (${((saved / oldSize) * 100).toFixed(2)}%), below minSavings ${describeSavings(minSavings)}`,
+  };
+}
+
+module.exports = {
+  parseSize,
+  parseSavings,
+  normalizeThresholds,
+  checkSize,
+  checkSavings,
+};
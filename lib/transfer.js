@@ -0,0 +1,157 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Image on disk, streamed to the backend instead of being read into memory
+ * @typedef {{ file: string, size: number, open: function(): stream.Readable }} FileInput
+ */
+
+/**
+ * Output a backend wrote to a temporary file given by `downloadTo`, moved into place by the caller
+ * @typedef {{ file: string, size: number }} FileOutput
+ */
+
+/**
+ * @param {string} file
+ * @returns {FileInput}
+ */
+function createFileInput(file) {
+  const { size } = fs.statSync(file);
+  return { file, size, open: () => fs.createReadStream(file) };
+}
+
+/**
+ * Size of an image given as a Buffer, FileInput or FileOutput
+ */
+function getSize(data) {
+  return Buffer.isBuffer(data) ? data.length : data.size;
+}
+
+/**
+ * Content of an image given as a Buffer or FileInput, for backends taking Buffers only
+ */
+function readInput(input) {
+  return Buffer.isBuffer(input) ? input : fs.readFileSync(input.file);
+}
+
+/**
+ * The file a write to `file` ends up in: a symlink is written through, as writeFileSync does
+ */
+function resolveTarget(file) {
+  try {
+    return fs.realpathSync(file);
+  } catch {
+    return file;
+  }
+}
+
+/**
+ * Hidden temporary file next to what `file` resolves to, so that renaming it over `file` is atomic
+ */
+function getTempPath(file) {
+  const target = resolveTarget(file);
+  const name = `.${path.basename(target)}.${process.pid}-${crypto.randomBytes(4).toString('hex')}.tmp`;
+  return path.join(path.dirname(target), name);
+}
+
+function removeFile(file) {
+  try {
+    fs.unlinkSync(file);
+  } catch {}
+}
+
+/**
+ * Read a stream to its end into a new file, or into memory when `file` is null.
+ * Rejects when the stream is cut short or errors, removing what was written.
+ *
+ * @param {stream.Readable} readable - e.g. an http.IncomingMessage
+ * @param {string|null} file
+ * @returns {Promise<{ data: Buffer|null, size: number }>} `data` is null when written to `file`
+ */
+function receive(readable, file) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    let failed = false;
+    const chunks = [];
+    const out = file ? fs.createWriteStream(file, { flags: 'wx' }) : null;
+
+    function fail(e) {
+      if (failed) return;
+      failed = true;
+      readable.unpipe();
+      if (out) {
+        out.destroy();
+        removeFile(file);
+      }
+      reject(e);
+    }
+
+    readable.on('data', (chunk) => {
+      size += chunk.length;
+      if (!out) chunks.push(chunk);
+    });
+    readable.on('aborted', () => fail(new Error('Connection closed before the download completed')));
+    readable.on('error', fail);
+    if (out) {
+      out.on('error', fail);
+      // 'close' comes once the file is flushed and closed, ready to be renamed
+      out.on('close', () => {
+        if (!failed) resolve({ data: null, size });
+      });
+      readable.pipe(out);
+    } else {
+      readable.on('end', () => {
+        if (!failed) resolve({ data: Buffer.concat(chunks), size });
+      });
+    }
+  });
+}
+
+/**
+ * Replace `file` with `data` atomically: readers see the old content or the
+ * new one, never a partial write. The permissions of a replaced file are kept.
+ *
+ * @param {string} file
+ * @param {Buffer|FileInput|FileOutput} data - a FileInput is copied, a FileOutput moved into place
+ * @returns {number} size of the written file
+ */
+function commitFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const target = resolveTarget(file);
+  let temp;
+  if (Buffer.isBuffer(data) || data.open) {
+    temp = getTempPath(target);
+    if (Buffer.isBuffer(data)) {
+      fs.writeFileSync(temp, data, { flag: 'wx' });
+    } else {
+      fs.copyFileSync(data.file, temp);
+    }
+  } else {
+    temp = data.file;
+  }
+  try {
+    try {
+      fs.chmodSync(temp, fs.statSync(target).mode & 0o7777);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    fs.renameSync(temp, target);
+  } catch (e) {
+    removeFile(temp);
+    throw e;
+  }
+  return fs.statSync(target).size;
+}
+
+module.exports = {
+  createFileInput,
+  getSize,
+  readInput,
+  getTempPath,
+  removeFile,
+  receive,
+  commitFile,
+};
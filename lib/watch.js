@@ -0,0 +1,171 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { isImageFile, isSkippedDir, collectImages } = require('./files');
+
+function sameStat(a, b) {
+  return a.size === b.size && a.mtimeMs === b.mtimeMs;
+}
+
+/**
+ * Watch directories for new and changed images.
+ *
+ * Uses one fs.watch per directory (recursive watching is not available on
+ * every platform), following the same traversal rules as collectImages.
+ * Bursts of events for a file are debounced, then the file is reported once
+ * its size and mtime stop changing.
+ *
+ * @param {string[]} roots - directories, or files to watch individually
+ * @param {{ deep?: boolean, debounce?: number, stableTime?: number, filter?: function(string): boolean,
+ *   formats?: string[] }} options
+ *   `debounce` (default 300ms) is the quiet period after the last event, `stableTime` (default 1000ms)
+ *   how long size and mtime must stay unchanged; `filter` can reject files before they are reported;
+ *   `formats` restricts the images watched (see isImageFile)
+ * @param {function(string): void} onFile - called with the absolute path of each stable image
+ * @returns {{ close: function(): void }}
+ */
+function watchImages(roots, options, onFile) {
+  const deep = !!options.deep;
+  const debounce = options.debounce !== undefined ? options.debounce : 300;
+  const stableTime = options.stableTime !== undefined ? options.stableTime : 1000;
+  const filter = options.filter || (() => true);
+  const formats = options.formats || null;
+
+  const watchers = new Map();
+  const timers = new Map();
+  // Directories watched only for some of their files (roots given as file paths)
+  const onlyFiles = new Map();
+  let closed = false;
+
+  function schedule(file) {
+    if (closed) return;
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => checkStable(file), debounce));
+  }
+
+  function checkStable(file) {
+    let before;
+    try {
+      before = fs.statSync(file);
+    } catch {
+      timers.delete(file);
+      return;
+    }
+    timers.set(file, setTimeout(() => {
+      timers.delete(file);
+      let after;
+      try {
+        after = fs.statSync(file);
+      } catch {
+        return;
+      }
+      if (!after.isFile()) return;
+      if (!sameStat(before, after)) {
+        schedule(file);
+        return;
+      }
+      if (filter(file)) onFile(file);
+    }, stableTime));
+  }
+
+  /**
+   * A root given as a file that is now a directory (e.g. replaced by one) is watched as a directory
+   * from then on, and the images already in it are reported
+   */
+  function promoteRoot(dir, full) {
+    try {
+      if (!fs.statSync(full).isDirectory()) return false;
+    } catch {
+      return false;
+    }
+    onlyFiles.get(dir).delete(full);
+    watchDir(full);
+    for (const file of collectImages(full, deep, { formats })) schedule(file);
+    return true;
+  }
+
+  function handleEntry(dir, name) {
+    const full = path.join(dir, name);
+    const only = onlyFiles.get(dir);
+    if (only) {
+      if (only.has(full) && !promoteRoot(dir, full)) schedule(full);
+      return;
+    }
+
+    let stat;
+    try {
+      stat = fs.statSync(full);
+    } catch {
+      // Removed or renamed away, a pending check will notice
+      return;
+    }
+
+    if (stat.isDirectory()) {
+      if (!deep || isSkippedDir(name) || watchers.has(full)) return;
+      watchDir(full);
+      // Files may have landed in a new directory before it was watched
+      for (const file of collectImages(full, true, { formats })) schedule(file);
+    } else if (stat.isFile() && isImageFile(name, formats)) {
+      schedule(full);
+    }
+  }
+
+  function watchDir(dir) {
+    if (closed || watchers.has(dir)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (event, name) => {
+        if (name) handleEntry(dir, name.toString());
+      });
+    } catch {
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dir);
+    });
+    watchers.set(dir, watcher);
+
+    if (!deep || onlyFiles.has(dir)) return;
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir);
+    } catch {}
+    for (const entry of entries) {
+      if (isSkippedDir(entry)) continue;
+      const full = path.join(dir, entry);
+      try {
+        if (fs.statSync(full).isDirectory()) watchDir(full);
+      } catch {}
+    }
+  }
+
+  for (const root of roots) {
+    const resolved = path.resolve(root);
+    if (fs.statSync(resolved).isDirectory()) {
+      onlyFiles.delete(resolved);
+      watchDir(resolved);
+    } else {
+      const dir = path.dirname(resolved);
+      if (watchers.has(dir) && !onlyFiles.has(dir)) continue;
+      if (!onlyFiles.has(dir)) onlyFiles.set(dir, new Set());
+      onlyFiles.get(dir).add(resolved);
+      watchDir(dir);
+    }
+  }
+
+  return {
+    close() {
+      closed = true;
+      for (const timer of timers.values()) clearTimeout(timer);
+      timers.clear();
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+}
+
+module.exports = {
+  watchImages,
+};
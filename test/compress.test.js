@@ -0,0 +1,44 @@
+'use strict';
+
+const assert = require('assert');
+const { compressBatch, compressBuffer, createBudget } = require('..');
+
+async function main() {
+  await assert.rejects(
+    compressBatch(['missing.png'], { apiKey: 'key', convert: 'gif' }),
+    /Unsupported conversion format: gif/,
+    'invalid options reject the batch'
+  );
+
+  await assert.rejects(
+    compressBatch(['missing.png'], {
+      apiKey: 'key',
+      onProgress() {
+        throw new Error('listener failed');
+      },
+    }),
+    /listener failed/,
+    'a throwing onProgress rejects the batch'
+  );
+
+  let attempts = 0;
+  const flaky = {
+    name: 'flaky',
+    shrink(input) {
+      attempts++;
+      if (attempts === 1) return Promise.resolve({ success: false, retryable: true, errorMsg: 'socket hang up' });
+      return Promise.resolve({ success: true, data: input.slice(0, input.length / 2), retryable: false });
+    },
+  };
+  const budget = createBudget({ maxCompressions: 1 });
+  const compressed = await compressBuffer(Buffer.alloc(100), { backend: flaky, budget, retryDelay: 0 });
+  assert.strictEqual(compressed.attempts, 2);
+  assert.strictEqual(budget.used, 1, 'a retried image uses one unit of budget');
+
+  console.log('compress tests passed');
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
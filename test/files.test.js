@@ -0,0 +1,29 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { collectImages, dedupeFiles } = require('../lib/files');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tinypng-files-'));
+const image = path.join(dir, 'logo.png');
+const link = path.join(dir, 'link.png');
+
+try {
+  fs.writeFileSync(image, 'png');
+  fs.symlinkSync(image, link);
+
+  const files = collectImages(dir, false);
+  assert.strictEqual(files.length, 2, 'the image and its symlink are both collected');
+  assert.deepStrictEqual(dedupeFiles([...files, image]), [files[0]], 'a symlinked image is kept once');
+
+  console.log('files tests passed');
+} finally {
+  for (const file of [link, image]) {
+    try {
+      fs.unlinkSync(file);
+    } catch {}
+  }
+  fs.rmdirSync(dir);
+}